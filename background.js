@@ -1,66 +1,100 @@
 import {
+  addTimer,
+  analyzeConflicts,
+  calculateNextInterval,
+  createTimer,
+  DEFAULT_TIMER_SETTINGS,
+  describeRule,
+  describeWatchRule,
+  diffText,
   findActiveTimerForUrl,
   forceSyncToCloud,
+  formatTime,
+  GLOBAL_SETTINGS_KEY,
+  getGlobalSettings,
+  getDomainFromUrl,
+  getDrivenTabIds,
+  getLastTimerTemplate,
+  getNextActiveWindowStart,
+  getPausedState,
+  getReachedStopCondition,
+  getResumedState,
+  getStartedTimer,
+  getStopDeadline,
+  getSyncStatus,
+  getTabReloadState,
   getTimers,
+  isValidRule,
+  isWithinActiveHours,
+  matchRule,
   mergeWithSync,
   migrateOldData,
+  pullFromCloud,
+  removeTimer,
+  scheduleSyncAlarm,
+  SYNC_ALARM_NAME,
+  syncNow,
   updateTimer,
 } from "./shared/utils.js";
 
 const ICON_ACTIVE = "icon128.png";
 const ICON_INACTIVE = "icon128-gray.png";
 const MIN_ALARM_INTERVAL = 30; // Минимальный интервал для chrome.alarms (секунды)
+const BADGE_COLOR = "#2563eb";
+const BADGE_COLOR_SLEEPING = "#94a3b8";
+const BADGE_COLOR_PAUSED = "#f59e0b";
+const BADGE_TEXT_SLEEPING = "zz";
+const BADGE_TEXT_PAUSED = "❚❚";
+const BADGE_SKIPPED_MARKER = "•"; // Добавляется к badge, если перезагрузка была пропущена
+const IDLE_THRESHOLD_SECONDS = 60; // Через сколько секунд без активности пользователь считается бездействующим
+const OFFSCREEN_DOCUMENT = "offscreen.html";
+const OFFSCREEN_READY_TIMEOUT = 2000; // Сколько ждать сигнала готовности offscreen-документа (мс)
+const WATCH_NOTIFICATION_PREFIX = "watch-";
+const ADOPT_NOTIFICATION_PREFIX = "adopt-";
+const COMMAND_NOTIFICATION_PREFIX = "command-";
+const CONTEXT_MENU_PRESETS = [10, 30, 60, 300, 900]; // Интервалы быстрого запуска (секунды)
+// Пункты меню быстрого запуска и тип правила, который они создают
+const CONTEXT_MENU_SCOPES = {
+  page: { ruleType: "url", title: "Auto-reload this page every" },
+  domain: { ruleType: "domain", title: "Auto-reload this domain every" },
+};
+
+const alarmName = (reloadId) => `autoReload-${reloadId}`;
+
+// ID перезагрузки: timerId для основной вкладки таймера,
+// "timerId@tabId" для дополнительных вкладок (settings.multiTab)
+const getReloadId = (timerId, drivenTabId = null) =>
+  drivenTabId ? `${timerId}@${drivenTabId}` : timerId;
 
-const alarmName = (timerId) => `autoReload-${timerId}`;
+const parseReloadId = (reloadId) => {
+  const [timerId, drivenTabId] = reloadId.split("@");
+  return { timerId, drivenTabId: drivenTabId ? Number(drivenTabId) : null };
+};
 
 let timersCache = {};
 let countdownIntervalId = null;
 let timeoutIds = {}; // Хранилище timeout IDs для интервалов < 30 секунд
-
-/**
- * Генерирует случайное число с нормальным распределением (bell curve)
- * Использует Box-Muller transform
- * @param {number} mean - Среднее значение (μ)
- * @param {number} stdDev - Стандартное отклонение (σ)
- * @returns {number} Случайное число
- */
-const generateNormalRandom = (mean, stdDev) => {
-  const u1 = Math.random();
-  const u2 = Math.random();
-  const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-  return z0 * stdDev + mean;
+const askedAdoptions = new Set(); // Уже предложенные пары "таймер:вкладка" (режим ask)
+let conflictPolicy = "specific"; // Глобальная политика разрешения конфликтов
+let syncNewTimers = true; // Синхронизировать ли новые таймеры по умолчанию
+let offscreenReady = null; // Создание offscreen-документа до его сигнала готовности
+let resolveOffscreenReady = null;
+
+const loadGlobalSettings = async () => {
+  const globalSettings = await getGlobalSettings();
+  conflictPolicy = globalSettings.conflictPolicy;
+  syncNewTimers = globalSettings.syncNewTimers;
 };
 
-/**
- * Вычисляет следующий интервал с учетом настроек случайности
- */
-const calculateNextInterval = (settings) => {
-  const baseInterval = settings.intervalSeconds || 60;
-
-  // Если случайность отключена, возвращаем базовый интервал
-  if (!settings.randomness || !settings.randomness.enabled) {
-    return baseInterval;
-  }
-
-  const variationPercent = settings.randomness.variationPercent || 0;
-  const variation = baseInterval * (variationPercent / 100);
-
-  let randomInterval;
-
-  if (settings.randomness.useNormalDistribution) {
-    // Нормальное распределение (bell curve)
-    const sigma = variation / 2;
-    randomInterval = generateNormalRandom(baseInterval, sigma);
-  } else {
-    // Равномерное распределение
-    const minInterval = baseInterval - variation;
-    const maxInterval = baseInterval + variation;
-    randomInterval = minInterval + Math.random() * (maxInterval - minInterval);
+// Service worker может быть перезапущен в любой момент - подгружаем настройки
+loadGlobalSettings();
+// Изменения, не успевшие уйти в облако до остановки service worker
+getSyncStatus().then((status) => {
+  if (status.pendingSince) {
+    scheduleSyncAlarm(status.pausedUntil);
   }
-
-  // Ограничиваем диапазон (минимум 1 секунда, максимум 200% от базового)
-  return Math.max(1, Math.min(baseInterval * 2, Math.round(randomInterval)));
-};
+});
+chrome.idle.setDetectionInterval(IDLE_THRESHOLD_SECONDS);
 
 const setIconForTab = (tabId, enabled) => {
   const numericId = Number(tabId);
@@ -78,6 +112,19 @@ const setIconForTab = (tabId, enabled) => {
   );
 };
 
+const updateBadgeColor = (tabId, color) => {
+  const numericId = Number(tabId);
+  if (Number.isNaN(numericId)) {
+    return;
+  }
+
+  chrome.action.setBadgeBackgroundColor({ tabId: numericId, color }, () => {
+    if (chrome.runtime.lastError) {
+      return;
+    }
+  });
+};
+
 const updateBadgeText = (tabId, text) => {
   const numericId = Number(tabId);
   if (Number.isNaN(numericId)) {
@@ -103,87 +150,762 @@ const clearTimeout = (timerId) => {
   }
 };
 
-const clearReload = async (timerId) => {
-  await clearAlarm(timerId);
-  clearTimeout(timerId);
+const clearReload = async (reloadId) => {
+  await clearAlarm(reloadId);
+  clearTimeout(reloadId);
+};
+
+/**
+ * Отменить перезагрузки таймера на всех его вкладках
+ */
+const clearTimerReloads = async (timerId) => {
+  await clearReload(timerId);
+
+  const alarms = await new Promise((resolve) => chrome.alarms.getAll(resolve));
+  const prefix = alarmName(`${timerId}@`);
+  for (const alarm of alarms) {
+    if (alarm.name.startsWith(prefix)) {
+      await clearReload(alarm.name.slice(alarmName("").length));
+    }
+  }
+  for (const reloadId of Object.keys(timeoutIds)) {
+    if (reloadId.startsWith(`${timerId}@`)) {
+      clearTimeout(reloadId);
+    }
+  }
 };
 
 /**
  * Универсальная функция планирования перезагрузки
  * Использует chrome.alarms для >= 30s, setTimeout для < 30s
  */
-const scheduleReload = async (timerId, intervalSeconds = 60) => {
+const scheduleReload = async (reloadId, intervalSeconds = 60) => {
   // Очищаем предыдущие таймеры
-  await clearReload(timerId);
+  await clearReload(reloadId);
 
   if (intervalSeconds >= MIN_ALARM_INTERVAL) {
     // Используем chrome.alarms для длинных интервалов
     const delayInMinutes = intervalSeconds / 60;
-    chrome.alarms.create(alarmName(timerId), {
+    chrome.alarms.create(alarmName(reloadId), {
       delayInMinutes,
     });
   } else {
     // Используем setTimeout для коротких интервалов (< 30 секунд)
     const delayMs = intervalSeconds * 1000;
     const timeoutId = globalThis.setTimeout(async () => {
-      await handleReload(timerId);
+      await handleReload(reloadId);
     }, delayMs);
-    timeoutIds[timerId] = timeoutId;
+    timeoutIds[reloadId] = timeoutId;
+  }
+};
+
+/**
+ * Записать состояние перезагрузки вкладки (основной - в state, дополнительной -
+ * в state.tabs) вместе с общими для таймера полями, обновить кэш и badge.
+ * Таймер перечитывается из storage: пока шла проверка вкладки, другая
+ * вкладка того же таймера могла записать своё состояние
+ * @param {object} timer - Таймер на момент начала перезагрузки
+ * @param {object} target - {drivenTabId} (null - основная вкладка)
+ * @param {object} updates - Поля состояния вкладки
+ * @param {Function} getTimerUpdates - Общие поля таймера из свежего state
+ * @returns {Promise<object>} - Новый state таймера
+ */
+const saveTabReloadState = async (
+  timer,
+  target,
+  updates,
+  getTimerUpdates = () => ({})
+) => {
+  const current = (await getTimers())[timer.id] || timer;
+  const currentTabs = current.state.tabs || {};
+  const patch = target.drivenTabId
+    ? {
+        // Вкладку, которую правило уже отпустило, не возвращаем
+        ...(currentTabs[target.drivenTabId] && {
+          tabs: {
+            ...currentTabs,
+            [target.drivenTabId]: {
+              ...currentTabs[target.drivenTabId],
+              ...updates,
+            },
+          },
+        }),
+      }
+    : updates;
+  const state = {
+    ...current.state,
+    ...patch,
+    ...getTimerUpdates(current.state),
+  };
+
+  await updateTimer(timer.id, { state });
+
+  timersCache = await getTimers();
+  refreshBadgeText();
+
+  return state;
+};
+
+/**
+ * Перевести таймер в режим сна до начала следующего окна активных часов
+ */
+const sleepUntilActiveHours = async (timer, target) => {
+  const resumeAt = getNextActiveWindowStart(timer.settings.activeHours);
+
+  if (!resumeAt) {
+    // Ни одного окна не задано - перезагружать некогда
+    await clearReload(target.reloadId);
+    return;
+  }
+
+  const delaySeconds = Math.max(
+    1,
+    Math.ceil((resumeAt.getTime() - Date.now()) / 1000)
+  );
+
+  await saveTabReloadState(timer, target, {
+    nextReloadAt: resumeAt.getTime(),
+    currentActualInterval: delaySeconds,
+    sleepingUntil: resumeAt.getTime(),
+  });
+
+  await scheduleReload(target.reloadId, delaySeconds);
+};
+
+/**
+ * Состояние пользователя по chrome.idle: "active", "idle" или "locked"
+ */
+const queryIdleState = () =>
+  new Promise((resolve) => {
+    chrome.idle.queryState(IDLE_THRESHOLD_SECONDS, resolve);
+  });
+
+/**
+ * Находится ли вкладка в фокусе: активна в своём окне, а окно в фокусе
+ */
+const isTabFocused = (tab) =>
+  new Promise((resolve) => {
+    if (!tab.active) {
+      resolve(false);
+      return;
+    }
+    chrome.windows.get(tab.windowId, (win) => {
+      if (chrome.runtime.lastError || !win) {
+        resolve(false);
+        return;
+      }
+      resolve(win.focused);
+    });
+  });
+
+/**
+ * Проверка условий перезагрузки (бездействие, видимость вкладки)
+ * @returns {Promise<string|null>} - Причина пропуска перезагрузки или null
+ */
+const getSkipReason = async (timer, tab) => {
+  const conditions = timer.settings.conditions;
+  if (!conditions) return null;
+
+  if (conditions.onlyWhenIdle && (await queryIdleState()) === "active") {
+    return "you were active";
   }
+  if (conditions.onlyInBackground && tab.active) {
+    return "the tab was in the foreground";
+  }
+  if (conditions.skipFocusedTab && (await isTabFocused(tab))) {
+    return "the tab was focused";
+  }
+
+  return null;
+};
+
+/**
+ * Запросить у content.js, редактирует ли пользователь страницу
+ * @returns {Promise<object|null>} - null, если контент-скрипт недоступен
+ */
+const getEditingState = (tabId) =>
+  new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, { type: "getEditingState" }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        resolve(null);
+        return;
+      }
+      resolve(response);
+    });
+  });
+
+/**
+ * Причина, по которой перезагрузку стоит отложить, или null
+ */
+const getPostponeReason = (editingState, editGuard) => {
+  if (!editingState) return null;
+
+  if (editingState.dirty || editingState.focusedEditable) {
+    return "you are editing";
+  }
+  if (editingState.hasSelection) {
+    return "text is selected";
+  }
+  if (
+    editingState.lastActivityAgoMs !== null &&
+    editingState.lastActivityAgoMs < editGuard.graceSeconds * 1000
+  ) {
+    return "you are using the page";
+  }
+
+  return null;
+};
+
+/**
+ * Отложить перезагрузку на период ожидания, пока пользователь редактирует
+ * страницу. Возвращает false, если максимальная отсрочка уже исчерпана
+ */
+const postponeReload = async (timer, target, reason) => {
+  const editGuard = timer.settings.editGuard;
+  const now = Date.now();
+  const since = target.state.postponed?.since || now;
+  const deferralEndsAt = since + editGuard.maxDeferralSeconds * 1000;
+
+  if (now >= deferralEndsAt) {
+    return false;
+  }
+
+  const delaySeconds = Math.max(
+    1,
+    Math.min(editGuard.graceSeconds, Math.ceil((deferralEndsAt - now) / 1000))
+  );
+
+  await saveTabReloadState(timer, target, {
+    nextReloadAt: now + delaySeconds * 1000,
+    currentActualInterval: delaySeconds,
+    postponed: { since, reason },
+  });
+
+  await scheduleReload(target.reloadId, delaySeconds);
+  return true;
+};
+
+/**
+ * Отложить ближайшую перезагрузку вкладки: пропустить её (следующая пойдёт по
+ * расписанию после пропущенной) или отложить на snoozeSeconds от текущего момента.
+ * Момент остановки по времени не переносится
+ * @returns {Promise<boolean>} - false, если таймер не перезагружает эту вкладку
+ */
+const delayNextReload = async (timerId, drivenTabId, snoozeSeconds = null) => {
+  const timer = (await getTimers())[timerId];
+  if (!timer || !timer.tabId || timer.state.paused) {
+    return false;
+  }
+
+  const tabState = getTabReloadState(timer, drivenTabId || timer.tabId);
+  if (!tabState) {
+    return false;
+  }
+
+  const now = Date.now();
+  let nextReloadAt;
+  if (snoozeSeconds) {
+    nextReloadAt = now + snoozeSeconds * 1000;
+  } else {
+    const skippedAt = Math.max(now, tabState.nextReloadAt || now);
+    nextReloadAt =
+      skippedAt +
+      calculateNextInterval(timer.settings, new Date(skippedAt)) * 1000;
+  }
+
+  const deadline = getStopDeadline(timer);
+  if (deadline) {
+    nextReloadAt = Math.min(nextReloadAt, deadline);
+  }
+  const delaySeconds = Math.max(1, Math.ceil((nextReloadAt - now) / 1000));
+
+  const target = {
+    reloadId: getReloadId(timerId, drivenTabId),
+    drivenTabId,
+    state: tabState,
+  };
+  await saveTabReloadState(timer, target, {
+    nextReloadAt: now + delaySeconds * 1000,
+    currentActualInterval: delaySeconds,
+    sleepingUntil: null,
+    postponed: null,
+    snoozed: { until: now + delaySeconds * 1000, skipped: !snoozeSeconds },
+  });
+
+  await scheduleReload(target.reloadId, delaySeconds);
+  return true;
+};
+
+/**
+ * Завершение таймера по условию остановки или действию наблюдения: удаляем
+ * его (как stopAutoReload) или оставляем приостановленным правилом,
+ * в зависимости от настроек
+ */
+const finishTimer = async (timer, reason) => {
+  if (timer.settings.stopConditions.onReach !== "pause") {
+    await stopTimer(timer.id, timer.tabId);
+    return;
+  }
+
+  await clearTimerReloads(timer.id);
+  // Состояние могло измениться, пока шла перезагрузка или проверка страницы
+  const current = (await getTimers())[timer.id];
+  if (!current) return;
+
+  await updateTimer(timer.id, {
+    state: {
+      ...current.state,
+      paused: true,
+      pausedAt: Date.now(),
+      finishedReason: reason,
+    },
+  });
+
+  timersCache = await getTimers();
+  refreshBadgeText();
+};
+
+/**
+ * Сдвиг расписания дополнительной вкладки, чтобы вкладки одного правила
+ * не перезагружались одновременно
+ */
+const getStaggerSeconds = (timer, tabId) => {
+  const staggerSeconds = timer.settings.multiTab?.staggerSeconds || 0;
+  return Math.max(0, getDrivenTabIds(timer).indexOf(tabId)) * staggerSeconds;
 };
 
 /**
  * Обработчик перезагрузки (общий для alarms и setTimeout)
+ * @param {string} reloadId - ID таймера или "timerId@tabId" для дополнительной вкладки
+ * @param {object} options
+ * @param {boolean} options.ignoreConditions - Не проверять условия пропуска
+ * (возвращение на вкладку с пропущенной перезагрузкой)
+ * @param {boolean} options.manual - Перезагрузка по запросу пользователя: не ждёт
+ * ни окна активных часов, ни условий, ни окончания ввода
  */
-const handleReload = async (timerId) => {
+const handleReload = async (
+  reloadId,
+  { ignoreConditions = false, manual = false } = {}
+) => {
+  await loadGlobalSettings();
+  const { timerId, drivenTabId } = parseReloadId(reloadId);
   const allTimers = await getTimers();
   const timer = allTimers[timerId];
 
   if (!timer) {
-    await clearReload(timerId);
+    await clearTimerReloads(timerId);
+    return;
+  }
+
+  // Приостановленный таймер не перезагружает страницу
+  if (timer.state.paused) {
+    await clearReload(reloadId);
     return;
   }
 
   // Если нет tabId, таймер не может выполнять перезагрузку
   if (!timer.tabId) {
-    await clearReload(timerId);
+    await clearReload(reloadId);
     return;
   }
 
-  const tab = await getTab(timer.tabId);
+  const tabId = drivenTabId || timer.tabId;
+  const tabState = getTabReloadState(timer, tabId);
+
+  // Дополнительная вкладка больше не обслуживается правилом
+  if (!tabState) {
+    await clearReload(reloadId);
+    return;
+  }
+
+  const tab = await getTab(tabId);
 
   // Если вкладка закрыта - только очищаем alarm, но НЕ удаляем таймер
   if (!tab) {
-    await clearReload(timerId);
+    await clearReload(reloadId);
     return;
   }
 
   // КЛЮЧЕВАЯ ПРОВЕРКА: проверяем, является ли этот таймер "главным" для текущего URL
-  const activeTimer = findActiveTimerForUrl(allTimers, tab.url);
+  const activeTimer = findActiveTimerForUrl(
+    allTimers,
+    tab.url,
+    conflictPolicy,
+    tabId
+  );
 
   if (!activeTimer || activeTimer.id !== timerId) {
     // Этот таймер устарел (есть более приоритетный) - не перезагружаем
-    await clearReload(timerId);
+    await clearReload(reloadId);
     return;
   }
 
-  // Вычисляем следующий интервал с учетом случайности
-  const nextInterval = calculateNextInterval(timer.settings);
-  timer.state.nextReloadAt = Date.now() + nextInterval * 1000;
-  timer.state.currentActualInterval = nextInterval;
+  const target = { reloadId, drivenTabId, state: tabState };
 
-  // Обновляем таймер в storage
-  await updateTimer(timerId, { state: timer.state });
+  // Время работы таймера истекло - завершаем без перезагрузки
+  const reachedCondition = getReachedStopCondition(timer);
+  if (reachedCondition) {
+    await finishTimer(timer, reachedCondition);
+    return;
+  }
 
-  // Обновляем кэш
-  timersCache = await getTimers();
-  refreshBadgeText();
+  // Вне окна активных часов - откладываем до начала следующего окна
+  if (!manual && !isWithinActiveHours(timer.settings.activeHours)) {
+    await sleepUntilActiveHours(timer, target);
+    return;
+  }
 
-  // Перезагружаем страницу
-  chrome.tabs.reload(timer.tabId);
+  // Условия перезагрузки (бездействие, видимость). При возвращении на вкладку
+  // с пропущенной перезагрузкой и по запросу пользователя не проверяем
+  const skipReason =
+    ignoreConditions || manual ? null : await getSkipReason(timer, tab);
+
+  // Пользователь редактирует страницу - не стираем его ввод
+  const editGuard = timer.settings.editGuard;
+  if (!manual && !skipReason && editGuard && editGuard.enabled) {
+    const reason = getPostponeReason(await getEditingState(tabId), editGuard);
+    if (reason && (await postponeReload(timer, target, reason))) {
+      return;
+    }
+  }
+
+  // Вычисляем следующий интервал с учетом случайности,
+  // но не планируем дальше момента остановки по времени
+  let nextInterval = calculateNextInterval(timer.settings);
+  const schedule = timer.settings.schedule;
+  if (drivenTabId && schedule && schedule.type !== "interval") {
+    // Расписание по часам у всех вкладок одинаковое - сдвигаем дополнительные
+    nextInterval += getStaggerSeconds(timer, tabId);
+  }
+  const deadline = getStopDeadline(timer);
+  if (deadline) {
+    const untilDeadline = Math.ceil((deadline - Date.now()) / 1000);
+    nextInterval = Math.max(1, Math.min(nextInterval, untilDeadline));
+  }
+
+  const updates = {
+    nextReloadAt: Date.now() + nextInterval * 1000,
+    currentActualInterval: nextInterval,
+    sleepingUntil: null,
+    postponed: null,
+    snoozed: null,
+  };
+
+  // Условия не выполнены - пропускаем перезагрузку, но продолжаем расписание
+  if (skipReason) {
+    await saveTabReloadState(timer, target, {
+      ...updates,
+      skippedReload: { at: Date.now(), reason: skipReason },
+    });
+    await scheduleReload(reloadId, nextInterval);
+    return;
+  }
+
+  // Обновляем таймер в storage (и кэш)
+  const tabLocation =
+    timer.rule.type === "tab" ? await getTabLocation(tab) : null;
+  timer.state = await saveTabReloadState(
+    timer,
+    target,
+    { ...updates, skippedReload: null },
+    (state) => ({
+      reloadCount: (state.reloadCount || 0) + 1,
+      ...(tabLocation && { tabLocation }),
+    })
+  );
+
+  // Перезагружаем страницу (или возвращаем вкладку на стартовый URL)
+  if (
+    timer.rule.type === "tab" &&
+    timer.settings.returnToStartUrl &&
+    tab.url !== timer.rule.value
+  ) {
+    chrome.tabs.update(tabId, { url: timer.rule.value });
+  } else {
+    chrome.tabs.reload(tabId);
+  }
+
+  // Это была последняя разрешённая перезагрузка
+  const reachedAfterReload = getReachedStopCondition(timer);
+  if (reachedAfterReload) {
+    await finishTimer(timer, reachedAfterReload);
+    return;
+  }
 
   // Создаем НОВЫЙ таймер
-  await scheduleReload(timerId, nextInterval);
+  await scheduleReload(reloadId, nextInterval);
+};
+
+/**
+ * Конфигурация проверки содержимого для вкладки (запрос от content.js)
+ * @returns {Promise<object|null>} - {timerId, contentCheck, watchRules} или null
+ */
+const getContentConfig = async (tabId, url) => {
+  if (!tabId || !url) return null;
+
+  const allTimers = await getTimers();
+  const activeTimer = findActiveTimerForUrl(
+    allTimers,
+    url,
+    conflictPolicy,
+    tabId
+  );
+
+  // Проверяем основную и дополнительные вкладки правила
+  if (!activeTimer || !getDrivenTabIds(activeTimer).includes(tabId)) {
+    return null;
+  }
+
+  const contentCheck = activeTimer.settings.contentCheck;
+  const watch = activeTimer.settings.watch;
+  const watchRules = watch && watch.enabled ? watch.rules || [] : [];
+  const isContentCheckEnabled = Boolean(contentCheck && contentCheck.enabled);
+
+  if (!isContentCheckEnabled && watchRules.length === 0) return null;
+
+  return {
+    timerId: activeTimer.id,
+    contentCheck: isContentCheckEnabled
+      ? { selector: contentCheck.selector || "" }
+      : null,
+    watchRules,
+  };
+};
+
+/**
+ * Сравнение нового снимка содержимого с предыдущим
+ * @returns {object} - Новое значение state.content
+ */
+const compareContentSnapshot = (previous, snapshot) => {
+  const now = Date.now();
+
+  const content = {
+    snapshot: snapshot.text,
+    matched: snapshot.matched,
+    error: snapshot.error,
+    checkedAt: now,
+    changed: false,
+    lastChangedAt: previous ? previous.lastChangedAt : null,
+    diff: previous ? previous.diff : null,
+  };
+
+  // Первый снимок - только запоминаем как базовый
+  if (previous && !snapshot.error && previous.snapshot !== snapshot.text) {
+    content.changed = true;
+    content.lastChangedAt = now;
+    content.diff = diffText(previous.snapshot, snapshot.text);
+  }
+
+  return content;
+};
+
+/**
+ * Проверка правил наблюдения по результатам от content.js
+ * Правило срабатывает, когда его условие выполнилось после невыполнения,
+ * чтобы не повторять оповещение на каждой перезагрузке
+ * @returns {{held: object, matchedRules: Array<object>}}
+ */
+const evaluateWatchResults = (timer, tabState, watchResults) => {
+  const rules = timer.settings.watch?.rules || [];
+  const previousHeld = tabState.watch?.held || {};
+  const held = {};
+  const matchedRules = [];
+
+  for (const rule of rules) {
+    const result = watchResults.find((r) => r.id === rule.id);
+    if (!result || result.error) continue;
+
+    const conditionHeld =
+      rule.condition === "disappears" ? !result.present : result.present;
+    held[rule.id] = conditionHeld;
+
+    // "Исчезло" - это переход от первого снимка, а не отсутствие текста
+    // на нём: первый снимок только запоминается
+    const isFirstSnapshot = !(rule.id in previousHeld);
+    if (isFirstSnapshot && rule.condition === "disappears") continue;
+
+    if (conditionHeld && !previousHeld[rule.id]) {
+      matchedRules.push(rule);
+    }
+  }
+
+  return { held, matchedRules };
+};
+
+const createNotification = (notificationId, options) =>
+  new Promise((resolve) => {
+    chrome.notifications.create(notificationId, options, () => {
+      if (chrome.runtime.lastError) {
+        console.error("Notification error:", chrome.runtime.lastError);
+      }
+      resolve();
+    });
+  });
+
+/**
+ * Создать offscreen-документ и дождаться, пока он подпишется на сообщения
+ * (createDocument завершается раньше, чем выполнится offscreen.js)
+ */
+const createOffscreenDocument = () => {
+  const ready = new Promise((resolve) => {
+    resolveOffscreenReady = resolve;
+    setTimeout(resolve, OFFSCREEN_READY_TIMEOUT);
+  });
+
+  chrome.offscreen.createDocument(
+    {
+      url: OFFSCREEN_DOCUMENT,
+      reasons: ["AUDIO_PLAYBACK"],
+      justification: "Play an alert when a watch rule matches",
+    },
+    () => {
+      // Документ не создан - не ждём его сигнала
+      if (chrome.runtime.lastError) {
+        resolveOffscreenReady();
+      }
+    }
+  );
+
+  return ready.finally(() => {
+    resolveOffscreenReady = null;
+    offscreenReady = null;
+  });
+};
+
+/**
+ * Проигрывание звука оповещения через offscreen-документ
+ * (service worker не имеет доступа к Audio API)
+ */
+const playAlertSound = async () => {
+  const hasDocument = await new Promise((resolve) => {
+    chrome.offscreen.hasDocument((result) => resolve(result));
+  });
+
+  // Несколько оповещений подряд ждут один и тот же документ
+  if (!hasDocument || offscreenReady) {
+    offscreenReady = offscreenReady || createOffscreenDocument();
+    await offscreenReady;
+  }
+
+  chrome.runtime.sendMessage({ type: "playAlertSound" }, () => {
+    if (chrome.runtime.lastError) {
+      return;
+    }
+  });
+};
+
+const focusTab = async (tabId) => {
+  const tab = await getTab(tabId);
+  if (!tab) return;
+
+  chrome.tabs.update(tabId, { active: true });
+  chrome.windows.update(tab.windowId, { focused: true });
+};
+
+/**
+ * Остановка таймера из background (та же очистка, что в stopAutoReload)
+ */
+const stopTimer = async (timerId, tabId) => {
+  const timer = (await getTimers())[timerId];
+  const tabIds = timer ? getDrivenTabIds(timer) : [tabId];
+
+  await removeTimer(timerId);
+  await clearTimerReloads(timerId);
+
+  for (const drivenTabId of tabIds) {
+    if (drivenTabId) {
+      setIconForTab(drivenTabId, false);
+      updateBadgeText(drivenTabId, "");
+    }
+  }
+};
+
+/**
+ * Выполнение действий при срабатывании правил наблюдения
+ */
+const runWatchActions = async (timer, tabId, matchedRules) => {
+  const actions = timer.settings.watch.actions || {};
+  const tab = await getTab(tabId);
+  const description = matchedRules.map(describeWatchRule).join(", ");
+
+  if (actions.notify) {
+    await createNotification(
+      `${WATCH_NOTIFICATION_PREFIX}${tabId}-${Date.now()}`,
+      {
+        type: "basic",
+        iconUrl: ICON_ACTIVE,
+        title: "Page Auto Reloader: watch matched",
+        message: description,
+        contextMessage: tab ? tab.title : timer.rule.value,
+        priority: 2,
+      }
+    );
+  }
+
+  if (actions.sound) {
+    await playAlertSound();
+  }
+
+  if (actions.focus) {
+    await focusTab(tabId);
+  }
+
+  if (actions.stop) {
+    await finishTimer(timer, `Watch matched: ${description}`);
+  }
+};
+
+/**
+ * Обработка результатов проверки содержимого от content.js
+ * Записывает снимок/результаты правил в state и запускает действия
+ */
+const handleContentSnapshot = async (tabId, message) => {
+  const allTimers = await getTimers();
+  const timer = allTimers[message.timerId];
+  const tabState = timer ? getTabReloadState(timer, tabId) : null;
+
+  // Таймер мог быть удалён или отпустить вкладку, пока страница загружалась
+  if (!tabState) return;
+
+  // Снимок и наблюдение хранятся у каждой вкладки правила отдельно
+  const updates = {};
+  let matchedRules = [];
+
+  if (message.snapshot) {
+    updates.content = compareContentSnapshot(
+      tabState.content || null,
+      message.snapshot
+    );
+  }
+
+  if (message.watchResults) {
+    const evaluation = evaluateWatchResults(
+      timer,
+      tabState,
+      message.watchResults
+    );
+    matchedRules = evaluation.matchedRules;
+    updates.watch = {
+      held: evaluation.held,
+      lastMatch:
+        matchedRules.length > 0
+          ? {
+              description: matchedRules.map(describeWatchRule).join(", "),
+              at: Date.now(),
+            }
+          : tabState.watch?.lastMatch || null,
+    };
+  }
+
+  await saveTabReloadState(
+    timer,
+    { drivenTabId: timer.tabId === tabId ? null : tabId },
+    updates
+  );
+
+  if (matchedRules.length > 0) {
+    await runWatchActions(timer, tabId, matchedRules);
+  }
 };
 
 const getTab = (tabId) =>
@@ -197,6 +919,304 @@ const getTab = (tabId) =>
     });
   });
 
+/**
+ * Привязать таймер без вкладки к вкладке и запустить его заново
+ */
+const adoptTimer = async (timer, tabId) => {
+  const state = { ...timer.state, sleepingUntil: null, postponed: null };
+  if (!timer.state.paused) {
+    state.currentActualInterval = calculateNextInterval(timer.settings);
+    state.nextReloadAt = Date.now() + state.currentActualInterval * 1000;
+  }
+
+  await updateTimer(timer.id, { tabId, state });
+  if (!timer.state.paused) {
+    await scheduleReload(timer.id, state.currentActualInterval);
+  }
+  await driveMatchingTabs(timer.id, { reschedule: true });
+
+  timersCache = await getTimers();
+  updateCountdownLoopState();
+  refreshBadgeText();
+
+  // Сообщаем side panel (если открыт), что таймер снова работает
+  chrome.runtime.sendMessage(
+    { type: "timerRestored", timerId: timer.id, tabId },
+    () => {
+      if (chrome.runtime.lastError) {
+        return;
+      }
+    }
+  );
+};
+
+/**
+ * Предложить запустить таймер на вкладке (режим "ask")
+ */
+const askToAdoptTimer = async (timer, tab) => {
+  const key = `${timer.id}:${tab.id}`;
+  if (askedAdoptions.has(key)) return;
+  askedAdoptions.add(key);
+
+  await createNotification(
+    `${ADOPT_NOTIFICATION_PREFIX}${tab.id}-${timer.id}`,
+    {
+      type: "basic",
+      iconUrl: ICON_ACTIVE,
+      title: "Start auto reload here?",
+      message: `${getDomainFromUrl(tab.url)} matches a saved timer`,
+      buttons: [{ title: "Start" }, { title: "Not now" }],
+      requireInteraction: true,
+    }
+  );
+};
+
+/**
+ * Найти для вкладки таймер без вкладки (или с закрытой вкладкой) и привязать
+ * его в соответствии с настройкой settings.adoption: auto / ask / never
+ */
+const adoptTimersForTab = async (tab) => {
+  if (!tab.url || !/^https?:/i.test(tab.url)) return;
+
+  const allTimers = await getTimers();
+  const activeTimer = findActiveTimerForUrl(
+    allTimers,
+    tab.url,
+    conflictPolicy,
+    tab.id
+  );
+
+  if (!activeTimer || activeTimer.tabId === tab.id) return;
+
+  // Таймер уже работает в другой открытой вкладке
+  if (activeTimer.tabId && (await getTab(activeTimer.tabId))) return;
+
+  const adoption = activeTimer.settings.adoption || "auto";
+  if (adoption === "auto") {
+    await adoptTimer(activeTimer, tab.id);
+  } else if (adoption === "ask") {
+    await askToAdoptTimer(activeTimer, tab);
+  }
+};
+
+const queryAllTabs = () =>
+  new Promise((resolve) => {
+    chrome.tabs.query({}, (tabs) => {
+      resolve(chrome.runtime.lastError ? [] : tabs);
+    });
+  });
+
+/**
+ * Подключить к правилу с settings.multiTab открытые подходящие вкладки
+ * (не больше maxTabs вместе с основной). Новые вкладки получают своё
+ * расписание со сдвигом, чтобы не перезагружаться одновременно
+ * @param {string} timerId - ID таймера
+ * @param {boolean} reschedule - Заново спланировать уже подключённые вкладки
+ */
+const driveMatchingTabs = async (timerId, { reschedule = false } = {}) => {
+  const allTimers = await getTimers();
+  const timer = allTimers[timerId];
+  if (!timer || !timer.tabId) return;
+
+  const multiTab = timer.settings.multiTab;
+  const previousTabs = timer.state.tabs || {};
+  let drivenTabs = [];
+
+  if (multiTab && multiTab.enabled) {
+    const matchingTabs = (await queryAllTabs()).filter(
+      (tab) =>
+        tab.id !== timer.tabId &&
+        /^https?:/i.test(tab.url || "") &&
+        findActiveTimerForUrl(allTimers, tab.url, conflictPolicy, tab.id)
+          ?.id === timerId
+    );
+    // Уже подключённые вкладки не вытесняются новыми при ограничении
+    matchingTabs.sort(
+      (a, b) => Number(b.id in previousTabs) - Number(a.id in previousTabs)
+    );
+    drivenTabs =
+      multiTab.maxTabs > 0
+        ? matchingTabs.slice(0, multiTab.maxTabs - 1)
+        : matchingTabs;
+  }
+
+  const now = Date.now();
+  const tabs = {};
+  const keptTabIds = [];
+  const newSchedules = [];
+
+  drivenTabs.forEach((tab, index) => {
+    if (previousTabs[tab.id] && !reschedule) {
+      keptTabIds.push(tab.id);
+      return;
+    }
+    const interval =
+      calculateNextInterval(timer.settings) +
+      (index + 1) * (multiTab.staggerSeconds || 0);
+    tabs[tab.id] = {
+      nextReloadAt: now + interval * 1000,
+      currentActualInterval: interval,
+    };
+    newSchedules.push([tab.id, interval]);
+  });
+
+  for (const tabId of Object.keys(previousTabs)) {
+    if (!(tabId in tabs)) {
+      await clearReload(getReloadId(timerId, tabId));
+      updateBadgeText(Number(tabId), "");
+      setIconForTab(tabId, false);
+    }
+  }
+
+  // Пока искали вкладки, перезагрузки могли записать своё состояние -
+  // перечитываем таймер и меняем только набор вкладок
+  const current = (await getTimers())[timerId];
+  if (!current) return;
+  const currentTabs = current.state.tabs || {};
+  for (const tabId of keptTabIds) {
+    tabs[tabId] = currentTabs[tabId] || previousTabs[tabId];
+  }
+  await updateTimer(timerId, { state: { ...current.state, tabs } });
+
+  if (!current.state.paused) {
+    for (const [tabId, interval] of newSchedules) {
+      await scheduleReload(getReloadId(timerId, tabId), interval);
+    }
+  }
+
+  timersCache = await getTimers();
+  updateCountdownLoopState();
+  refreshBadgeText();
+};
+
+/**
+ * Вкладка загрузилась - подключаем её к правилу с несколькими вкладками
+ */
+const driveTab = async (tab) => {
+  if (!tab.url || !/^https?:/i.test(tab.url)) return;
+
+  const allTimers = await getTimers();
+  const activeTimer = findActiveTimerForUrl(
+    allTimers,
+    tab.url,
+    conflictPolicy,
+    tab.id
+  );
+
+  if (
+    activeTimer &&
+    activeTimer.tabId &&
+    activeTimer.settings.multiTab?.enabled &&
+    !getDrivenTabIds(activeTimer).includes(tab.id)
+  ) {
+    await driveMatchingTabs(activeTimer.id);
+  }
+};
+
+/**
+ * Вкладка закрыта: отключаем её от таймеров. Если это была основная вкладка,
+ * основной становится первая дополнительная
+ */
+const releaseTab = async (tabId) => {
+  const allTimers = await getTimers();
+
+  for (const [timerId, timer] of Object.entries(allTimers)) {
+    const isDrivenTab = Boolean(timer.state?.tabs?.[tabId]);
+    if (!isDrivenTab && timer.tabId !== tabId) continue;
+
+    // Отменяем физические alarm/timeout, затем перечитываем таймер:
+    // пока они снимались, другие вкладки могли записать своё состояние
+    await clearReload(isDrivenTab ? getReloadId(timerId, tabId) : timerId);
+    const current = (await getTimers())[timerId];
+    if (!current) continue;
+    const tabs = { ...current.state.tabs };
+    delete tabs[tabId];
+
+    if (isDrivenTab) {
+      await updateTimer(timerId, { state: { ...current.state, tabs } });
+      continue;
+    }
+
+    const [nextTabId] = Object.keys(tabs);
+    if (!nextTabId) {
+      // НЕ удаляем таймер из storage - отвязываем, чтобы его подхватила
+      // следующая подходящая вкладка
+      await updateTimer(timerId, { tabId: null });
+      continue;
+    }
+
+    const { [nextTabId]: nextTabState, ...restTabs } = tabs;
+    await updateTimer(timerId, {
+      tabId: Number(nextTabId),
+      state: { ...current.state, ...nextTabState, tabs: restTabs },
+    });
+    await clearReload(getReloadId(timerId, nextTabId));
+
+    if (!current.state.paused) {
+      const remainingSec = Math.max(
+        1,
+        Math.ceil((nextTabState.nextReloadAt - Date.now()) / 1000)
+      );
+      await scheduleReload(timerId, remainingSec);
+    }
+  }
+};
+
+/**
+ * Положение вкладки для восстановления после перезапуска браузера
+ * (ID вкладок и окон при перезапуске меняются)
+ */
+const getTabLocation = async (tab) => {
+  const windowIds = [
+    ...new Set((await queryAllTabs()).map((openTab) => openTab.windowId)),
+  ].sort((a, b) => a - b);
+
+  return {
+    windowIndex: windowIds.indexOf(tab.windowId),
+    tabIndex: tab.index,
+    url: tab.url,
+  };
+};
+
+/**
+ * После перезапуска браузера находим вкладки таймеров с правилом "tab":
+ * по номеру окна и позиции, если там открыт известный URL, иначе по URL
+ */
+const recoverTabBoundTimers = async () => {
+  const allTimers = await getTimers();
+  const tabs = await queryAllTabs();
+  const windowIds = [...new Set(tabs.map((tab) => tab.windowId))].sort(
+    (a, b) => a - b
+  );
+  const usedTabIds = new Set();
+
+  for (const timer of Object.values(allTimers)) {
+    if (timer.rule.type !== "tab") continue;
+
+    const location = timer.state.tabLocation;
+    const knownUrls = [location?.url, timer.rule.value];
+    const isCandidate = (tab) =>
+      !usedTabIds.has(tab.id) && knownUrls.includes(tab.url);
+
+    const tabAtLocation =
+      location &&
+      tabs.find(
+        (tab) =>
+          windowIds.indexOf(tab.windowId) === location.windowIndex &&
+          tab.index === location.tabIndex
+      );
+    const tab =
+      tabAtLocation && isCandidate(tabAtLocation)
+        ? tabAtLocation
+        : tabs.find(isCandidate);
+
+    if (tab) {
+      usedTabIds.add(tab.id);
+    }
+    await updateTimer(timer.id, { tabId: tab ? tab.id : null });
+  }
+};
+
 const formatBadgeText = (totalSeconds) => {
   // Если >= 60 минут, показываем часы
   if (totalSeconds >= 3600) {
@@ -222,8 +1242,8 @@ const refreshBadgeText = async () => {
   // 1. Собираем все уникальные tabId из всех таймеров
   const tabIds = new Set();
   for (const timer of Object.values(timersCache)) {
-    if (timer.tabId) {
-      tabIds.add(timer.tabId);
+    for (const tabId of getDrivenTabIds(timer)) {
+      tabIds.add(tabId);
     }
   }
 
@@ -240,24 +1260,50 @@ const refreshBadgeText = async () => {
     }
 
     // Находим активный таймер для URL этой вкладки
-    const activeTimer = findActiveTimerForUrl(timersCache, tab.url);
+    const activeTimer = findActiveTimerForUrl(
+      timersCache,
+      tab.url,
+      conflictPolicy,
+      tab.id
+    );
+
+    const tabState = activeTimer && getTabReloadState(activeTimer, tabId);
 
-    if (!activeTimer || activeTimer.tabId !== tabId) {
+    if (!tabState) {
       // Нет активного таймера для этой вкладки
       updateBadgeText(tabId, "");
       setIconForTab(tabId, false);
       continue;
     }
 
+    // Таймер приостановлен - серая иконка и отдельный badge
+    if (activeTimer.state?.paused) {
+      updateBadgeText(tabId, BADGE_TEXT_PAUSED);
+      updateBadgeColor(tabId, BADGE_COLOR_PAUSED);
+      setIconForTab(tabId, false);
+      continue;
+    }
+
+    // Таймер спит вне окна активных часов
+    if (tabState.sleepingUntil > now) {
+      updateBadgeText(tabId, BADGE_TEXT_SLEEPING);
+      updateBadgeColor(tabId, BADGE_COLOR_SLEEPING);
+      setIconForTab(tabId, true);
+      continue;
+    }
+
     // Вычисляем оставшееся время для активного таймера
     const intervalSeconds = activeTimer.settings.intervalSeconds || 60;
     const intervalMs = intervalSeconds * 1000;
-    const nextReloadAt = activeTimer.state?.nextReloadAt || now + intervalMs;
+    const nextReloadAt = tabState.nextReloadAt || now + intervalMs;
     const remainingMs = Math.max(0, nextReloadAt - now);
     const remainingSec = Math.ceil(remainingMs / 1000);
-    const text = formatBadgeText(remainingSec);
+    const text =
+      formatBadgeText(remainingSec) +
+      (tabState.skippedReload ? BADGE_SKIPPED_MARKER : "");
 
     updateBadgeText(tabId, text);
+    updateBadgeColor(tabId, BADGE_COLOR);
     setIconForTab(tabId, true);
   }
 };
@@ -279,16 +1325,416 @@ function updateCountdownLoopState() {
   }
 }
 
+const adoptTimersForOpenTabs = async () => {
+  for (const tab of await queryAllTabs()) {
+    await adoptTimersForTab(tab);
+  }
+};
+
+/**
+ * Синхронизация в background; таймеры, пришедшие из облака,
+ * привязываются к уже открытым вкладкам
+ * @param {Function} sync - syncNow, pullFromCloud или mergeWithSync
+ * @returns {Promise<boolean>} - true если LOCAL изменён
+ */
+const runCloudSync = async (sync) => {
+  const localChanged = await sync();
+  if (localChanged) {
+    await adoptTimersForOpenTabs();
+    timersCache = await getTimers();
+  }
+  return localChanged;
+};
+
+/**
+ * Сообщить side panel (если открыт), что таймеры вкладки изменились
+ */
+const notifyTimersChanged = (tabId) => {
+  chrome.runtime.sendMessage({ type: "timersChanged", tabId }, () => {
+    if (chrome.runtime.lastError) {
+      return;
+    }
+  });
+};
+
+/**
+ * Оповещение о результате команды с клавиатуры (side panel может быть закрыт)
+ */
+const showCommandNotification = (message) =>
+  createNotification(`${COMMAND_NOTIFICATION_PREFIX}${Date.now()}`, {
+    type: "basic",
+    iconUrl: ICON_ACTIVE,
+    title: "Page Auto Reloader",
+    message,
+  });
+
+/**
+ * Пауза таймера (то же, что pauseAutoReload в side panel)
+ */
+const pauseTimer = async (timer) => {
+  await updateTimer(timer.id, { state: getPausedState(timer) });
+  await clearTimerReloads(timer.id);
+
+  timersCache = await getTimers();
+  refreshBadgeText();
+};
+
+/**
+ * Возобновление таймера (то же, что resumeAutoReload в side panel)
+ * @returns {Promise<boolean>} - false, если время остановки уже прошло
+ */
+const resumeTimer = async (timer) => {
+  const now = Date.now();
+  const state = getResumedState(timer, now);
+  if (!state) return false;
+
+  await updateTimer(timer.id, { state });
+  await scheduleReload(timer.id, Math.ceil((state.nextReloadAt - now) / 1000));
+  await driveMatchingTabs(timer.id, { reschedule: true });
+
+  timersCache = await getTimers();
+  updateCountdownLoopState();
+  refreshBadgeText();
+  return true;
+};
+
+/**
+ * Правило для вкладки по правилу последнего таймера: страница, вкладка и домен
+ * берутся с текущего URL, шаблоны - как есть, если подходят к странице
+ */
+const getRuleFromTemplate = (templateRule, url) => {
+  const { type, normalize } = templateRule;
+  if (type === "url") {
+    return normalize ? { type, value: url, normalize } : { type, value: url };
+  }
+  if (type === "tab") return { type, value: url };
+  if (type === "domain") return { type, value: getDomainFromUrl(url) };
+  if (isValidRule(templateRule) && matchRule(templateRule, url) !== null) {
+    return templateRule;
+  }
+  return { type: "url", value: url };
+};
+
+/**
+ * Создать и запустить таймер на вкладке без side panel. Подтвердить замену
+ * таймеров с тем же правилом негде - действие пользователя считается
+ * подтверждением
+ * @returns {Promise<boolean>} - false, если таймер перекрыт другим
+ */
+const launchTimer = async (tab, rule, settings, allTimers) => {
+  const newTimer = createTimer(tab.id, rule, settings);
+  const conflicts = analyzeConflicts(
+    allTimers,
+    newTimer,
+    tab.url,
+    conflictPolicy
+  );
+
+  if (conflicts.shadowedBy) {
+    await showCommandNotification(
+      `Overridden by "${describeRule(conflicts.shadowedBy.rule)}"`
+    );
+    return false;
+  }
+
+  for (const timer of conflicts.removed) {
+    await stopTimer(timer.id, timer.tabId);
+  }
+
+  const startedTimer = getStartedTimer(newTimer);
+  await addTimer(startedTimer);
+  setIconForTab(tab.id, true);
+  await scheduleReload(
+    startedTimer.id,
+    startedTimer.state.currentActualInterval
+  );
+  await driveMatchingTabs(startedTimer.id, { reschedule: true });
+
+  timersCache = await getTimers();
+  updateCountdownLoopState();
+  refreshBadgeText();
+  notifyTimersChanged(tab.id);
+  return true;
+};
+
+/**
+ * Запуск таймера на вкладке с последними использованными настройками
+ * (то же, что startAutoReload в side panel)
+ */
+const startTimerOnTab = async (tab) => {
+  const allTimers = await getTimers();
+  const activeTimer = findActiveTimerForUrl(
+    allTimers,
+    tab.url,
+    conflictPolicy,
+    tab.id
+  );
+
+  if (activeTimer && !activeTimer.tabId) {
+    // Сохранённый таймер без вкладки - запускаем его здесь
+    await adoptTimer(activeTimer, tab.id);
+    return;
+  }
+  if (activeTimer) {
+    await showCommandNotification(
+      `Already reloading: ${describeRule(activeTimer.rule)}`
+    );
+    return;
+  }
+
+  const template = (await getLastTimerTemplate()) || {
+    rule: { type: "url" },
+    settings: {},
+  };
+  // Шаблон от версии без настройки sync следует глобальному умолчанию
+  const settings = {
+    ...DEFAULT_TIMER_SETTINGS,
+    sync: syncNewTimers,
+    ...template.settings,
+  };
+
+  // Время окончания из прошлого запуска могло уже пройти
+  if (
+    settings.stopConditions.endAt &&
+    settings.stopConditions.endAt <= Date.now()
+  ) {
+    settings.stopConditions = { ...settings.stopConditions, endAt: null };
+  }
+
+  await launchTimer(
+    tab,
+    getRuleFromTemplate(template.rule, tab.url),
+    settings,
+    allTimers
+  );
+};
+
+const queryActiveTab = () =>
+  new Promise((resolve) => {
+    chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
+      resolve(chrome.runtime.lastError || !tabs.length ? null : tabs[0]);
+    });
+  });
+
+/**
+ * Запуск с интервалом из контекстного меню. Если на вкладке уже работает
+ * таймер с правилом того же типа, меняем его интервал на месте
+ * @param {object} tab - Вкладка
+ * @param {string} ruleType - "url" или "domain"
+ * @param {number} intervalSeconds - Интервал из CONTEXT_MENU_PRESETS
+ */
+const applyIntervalPreset = async (tab, ruleType, intervalSeconds) => {
+  const allTimers = await getTimers();
+  const activeTimer = findActiveTimerForUrl(
+    allTimers,
+    tab.url,
+    conflictPolicy,
+    tab.id
+  );
+
+  if (activeTimer && activeTimer.rule.type === ruleType) {
+    const settings = {
+      ...activeTimer.settings,
+      intervalSeconds,
+      schedule: { type: "interval", cron: "", offsetSeconds: 0 },
+    };
+    const interval = calculateNextInterval(settings);
+    const state = {
+      ...activeTimer.state,
+      nextReloadAt: Date.now() + interval * 1000,
+      currentActualInterval: interval,
+      paused: false,
+      pausedAt: null,
+      remainingMs: null,
+      sleepingUntil: null,
+      postponed: null,
+      snoozed: null,
+    };
+    // Завершённый условием остановки таймер начинает отсчёт условий заново
+    if (activeTimer.state.finishedReason) {
+      state.startedAt = Date.now();
+      state.reloadCount = 0;
+      state.finishedReason = null;
+    }
+
+    // Таймер без вкладки привязываем к этой, работающий остаётся на своей
+    const tabId = activeTimer.tabId || tab.id;
+    await updateTimer(activeTimer.id, { tabId, settings, state });
+    await scheduleReload(activeTimer.id, interval);
+    await driveMatchingTabs(activeTimer.id, { reschedule: true });
+
+    timersCache = await getTimers();
+    updateCountdownLoopState();
+    refreshBadgeText();
+    setIconForTab(tabId, true);
+    notifyTimersChanged(tab.id);
+    return;
+  }
+
+  const rule =
+    ruleType === "domain"
+      ? { type: "domain", value: getDomainFromUrl(tab.url) }
+      : { type: "url", value: tab.url };
+  await launchTimer(
+    tab,
+    rule,
+    { ...DEFAULT_TIMER_SETTINGS, intervalSeconds, sync: syncNewTimers },
+    allTimers
+  );
+};
+
+const updateContextMenu = (menuId, properties) => {
+  chrome.contextMenus.update(menuId, properties, () => {
+    if (chrome.runtime.lastError) {
+      return;
+    }
+  });
+};
+
+/**
+ * Отметить в контекстном меню состояние таймера активной вкладки:
+ * галочка на текущем интервале, "Pause"/"Resume" и доступность пунктов
+ */
+const updateContextMenus = async () => {
+  const tab = await queryActiveTab();
+  const timer =
+    tab && tab.url && /^https?:/i.test(tab.url)
+      ? findActiveTimerForUrl(
+          await getTimers(),
+          tab.url,
+          conflictPolicy,
+          tab.id
+        )
+      : null;
+  const schedule = timer && timer.settings.schedule;
+  const isIntervalSchedule =
+    Boolean(timer) && (!schedule || schedule.type === "interval");
+
+  for (const [scope, { ruleType }] of Object.entries(CONTEXT_MENU_SCOPES)) {
+    for (const seconds of CONTEXT_MENU_PRESETS) {
+      updateContextMenu(`${scope}-${seconds}`, {
+        checked:
+          isIntervalSchedule &&
+          !timer.state.paused &&
+          timer.rule.type === ruleType &&
+          timer.settings.intervalSeconds === seconds,
+      });
+    }
+  }
+
+  let pauseTitle = "Pause";
+  if (timer && !timer.tabId) {
+    pauseTitle = "Run here";
+  } else if (timer && timer.state.paused) {
+    pauseTitle = "Resume";
+  }
+  updateContextMenu("toggle-pause", {
+    title: pauseTitle,
+    enabled: Boolean(timer),
+  });
+  updateContextMenu("stop-timer", { enabled: Boolean(timer) });
+};
+
+/**
+ * Создать пункты контекстного меню страницы и иконки расширения
+ */
+const createContextMenus = () => {
+  const contexts = ["page", "action"];
+
+  chrome.contextMenus.removeAll(() => {
+    for (const [scope, { title }] of Object.entries(CONTEXT_MENU_SCOPES)) {
+      chrome.contextMenus.create({ id: scope, title, contexts });
+      for (const seconds of CONTEXT_MENU_PRESETS) {
+        chrome.contextMenus.create({
+          id: `${scope}-${seconds}`,
+          parentId: scope,
+          title: formatTime(seconds),
+          type: "checkbox",
+          contexts,
+        });
+      }
+      chrome.contextMenus.create({
+        id: `${scope}-custom`,
+        parentId: scope,
+        title: "Custom…",
+        contexts,
+      });
+    }
+
+    // id совпадают с командами клавиатуры - обрабатываются через runCommand
+    chrome.contextMenus.create({
+      id: "toggle-pause",
+      title: "Pause",
+      contexts,
+    });
+    chrome.contextMenus.create({ id: "stop-timer", title: "Stop", contexts });
+
+    updateContextMenus();
+  });
+};
+
+/**
+ * Выполнить команду с клавиатуры для вкладки
+ * @param {string} command - Имя команды из manifest.json
+ * @param {object} tab - Активная вкладка
+ */
+const runCommand = async (command, tab) => {
+  if (command === "open-side-panel") {
+    // Должно вызываться сразу в ответ на нажатие клавиши
+    chrome.sidePanel.open({ windowId: tab.windowId });
+    return;
+  }
+
+  if (!tab.url || !/^https?:/i.test(tab.url)) return;
+  await loadGlobalSettings();
+
+  if (command === "start-timer") {
+    await startTimerOnTab(tab);
+    return;
+  }
+
+  const allTimers = await getTimers();
+  const timer = findActiveTimerForUrl(
+    allTimers,
+    tab.url,
+    conflictPolicy,
+    tab.id
+  );
+  if (!timer) return;
+
+  if (command === "toggle-pause") {
+    if (!timer.tabId) {
+      await adoptTimer(timer, tab.id);
+    } else if (!timer.state.paused) {
+      await pauseTimer(timer);
+    } else if (!(await resumeTimer(timer))) {
+      await showCommandNotification("The stop time has already passed");
+    }
+  } else if (command === "stop-timer") {
+    await stopTimer(timer.id, timer.tabId);
+  } else if (command === "reload-now") {
+    if (!timer.tabId || timer.state.paused) return;
+    const drivenTabId =
+      timer.tabId !== tab.id && getTabReloadState(timer, tab.id)
+        ? tab.id
+        : null;
+    await handleReload(getReloadId(timer.id, drivenTabId), { manual: true });
+  }
+
+  notifyTimersChanged(tab.id);
+};
+
 chrome.runtime.onInstalled.addListener(async () => {
   chrome.action.setIcon({ path: ICON_INACTIVE });
   chrome.action.setBadgeText({ text: "" });
-  chrome.action.setBadgeBackgroundColor({ color: "#2563eb" });
+  chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
   if (chrome.action.setBadgeTextColor) {
     chrome.action.setBadgeTextColor({ color: "#ffffff" });
   }
 
   // Настраиваем поведение side panel
   chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
+  createContextMenus();
 
   // Выполняем миграцию данных при первой установке/обновлении
   const migrated = await migrateOldData();
@@ -302,6 +1748,9 @@ chrome.runtime.onInstalled.addListener(async () => {
     console.log("Таймеры восстановлены из sync");
   }
 
+  // Привязываем восстановленные таймеры к уже открытым вкладкам
+  await adoptTimersForOpenTabs();
+
   // Перезагружаем кэш
   timersCache = await getTimers();
 });
@@ -311,6 +1760,10 @@ chrome.runtime.onStartup.addListener(async () => {
   await mergeWithSync();
 
   // Потом читаем LOCAL (основное хранилище с учётом мерджа)
+  await loadGlobalSettings();
+
+  // Таймеры, привязанные к вкладкам, ищут свои вкладки по положению
+  await recoverTabBoundTimers();
   timersCache = await getTimers();
 
   for (const [timerId, timer] of Object.entries(timersCache)) {
@@ -320,18 +1773,30 @@ chrome.runtime.onStartup.addListener(async () => {
     const tab = await getTab(timer.tabId);
 
     if (!tab) {
-      // Вкладка не существует - ничего не делаем, таймер остается в storage
+      // Вкладка не существует - отвязываем, таймер остается в storage
+      // и будет привязан к подходящей вкладке
+      await updateTimer(timerId, { tabId: null });
       continue;
     }
 
     // Проверяем, является ли этот таймер активным для URL вкладки
-    const activeTimer = findActiveTimerForUrl(timersCache, tab.url);
+    const activeTimer = findActiveTimerForUrl(
+      timersCache,
+      tab.url,
+      conflictPolicy,
+      tab.id
+    );
 
     if (!activeTimer || activeTimer.id !== timerId) {
       // Этот таймер не активен для данной вкладки
       continue;
     }
 
+    if (timer.state?.paused) {
+      // Приостановленный таймер не планируем
+      continue;
+    }
+
     // Вычисляем оставшееся время
     const now = Date.now();
     const nextReloadAt = timer.state?.nextReloadAt || now;
@@ -348,33 +1813,82 @@ chrome.runtime.onStartup.addListener(async () => {
     }
   }
 
+  // Привязываем таймеры без вкладки к уже открытым вкладкам
+  await adoptTimersForOpenTabs();
+
+  // ID вкладок после перезапуска другие - заново подключаем дополнительные
+  for (const timer of Object.values(await getTimers())) {
+    if (timer.tabId && timer.settings.multiTab?.enabled) {
+      await driveMatchingTabs(timer.id, { reschedule: true });
+    }
+  }
+
+  timersCache = await getTimers();
   updateCountdownLoopState();
   refreshBadgeText();
 });
 
-chrome.tabs.onRemoved.addListener(async (tabId) => {
-  // Находим все таймеры с этим tabId
-  const allTimers = await getTimers();
-
-  for (const [timerId, timer] of Object.entries(allTimers)) {
-    if (timer.tabId === tabId) {
-      // Отменяем физический alarm/timeout
-      await clearReload(timerId);
-      // НЕ удаляем таймер из storage
+chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
+  // Вкладку закрыли вручную - привязанные к ней таймеры больше не нужны.
+  // При закрытии окна (и браузера) оставляем их для восстановления
+  if (!removeInfo.isWindowClosing) {
+    const allTimers = await getTimers();
+    for (const timer of Object.values(allTimers)) {
+      if (timer.rule.type === "tab" && timer.tabId === tabId) {
+        await stopTimer(timer.id, tabId);
+      }
     }
   }
 
+  // Отключаем вкладку от всех таймеров, которые её обслуживали
+  await releaseTab(tabId);
+
   timersCache = await getTimers();
   updateCountdownLoopState();
 });
 
+/**
+ * Запомнить новое положение и URL вкладки для таймеров с правилом "tab"
+ */
+const rememberTabLocation = async (tab) => {
+  const allTimers = await getTimers();
+
+  for (const timer of Object.values(allTimers)) {
+    if (timer.rule.type === "tab" && timer.tabId === tab.id) {
+      await updateTimer(timer.id, {
+        state: { ...timer.state, tabLocation: await getTabLocation(tab) },
+      });
+    }
+  }
+};
+
+chrome.tabs.onMoved.addListener(async (tabId) => {
+  const tab = await getTab(tabId);
+  if (tab) {
+    await rememberTabLocation(tab);
+  }
+});
+
+chrome.tabs.onCreated.addListener(async (tab) => {
+  await adoptTimersForTab(tab);
+});
+
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   // Обновляем badge только при завершении загрузки
   if (changeInfo.status === "complete" && tab.url) {
-    const allTimers = await getTimers();
-    const activeTimer = findActiveTimerForUrl(allTimers, tab.url);
+    await adoptTimersForTab(tab);
+    await driveTab(tab);
+    await rememberTabLocation(tab);
 
-    if (activeTimer && activeTimer.tabId === tabId) {
+    const allTimers = await getTimers();
+    const activeTimer = findActiveTimerForUrl(
+      allTimers,
+      tab.url,
+      conflictPolicy,
+      tabId
+    );
+
+    if (activeTimer && getDrivenTabIds(activeTimer).includes(tabId)) {
       setIconForTab(tabId, true);
     } else {
       setIconForTab(tabId, false);
@@ -382,55 +1896,268 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     }
 
     await refreshBadgeText();
+    if (tab.active) {
+      await updateContextMenus();
+    }
   }
 });
 
+/**
+ * Пользователь вернулся на вкладку - выполняем пропущенную перезагрузку,
+ * если таймер этого просит
+ */
+const reloadSkippedOnReturn = async (tabId) => {
+  const allTimers = await getTimers();
+
+  for (const timer of Object.values(allTimers)) {
+    const tabState = getTabReloadState(timer, tabId);
+    if (
+      tabState?.skippedReload &&
+      !timer.state.paused &&
+      timer.settings.conditions?.reloadOnReturn
+    ) {
+      await handleReload(
+        getReloadId(timer.id, timer.tabId === tabId ? null : tabId),
+        { ignoreConditions: true }
+      );
+    }
+  }
+};
+
 chrome.tabs.onActivated.addListener(async ({ tabId }) => {
   const tab = await getTab(tabId);
   if (!tab) return;
 
+  await reloadSkippedOnReturn(tabId);
+
   // Обновляем визуальные индикаторы
   await refreshBadgeText();
+  await updateContextMenus();
+});
+
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+
+  chrome.tabs.query({ active: true, windowId }, async (tabs) => {
+    if (chrome.runtime.lastError || !tabs.length) return;
+    await reloadSkippedOnReturn(tabs[0].id);
+    await updateContextMenus();
+  });
+});
+
+// Пользователь отошёл - выполняем перезагрузки, пропущенные из-за активности
+chrome.idle.onStateChanged.addListener(async (idleState) => {
+  if (idleState === "active") return;
+
+  const allTimers = await getTimers();
+  for (const timer of Object.values(allTimers)) {
+    if (timer.state?.paused || !timer.settings.conditions?.onlyWhenIdle) {
+      continue;
+    }
+    for (const tabId of getDrivenTabIds(timer)) {
+      if (getTabReloadState(timer, tabId).skippedReload) {
+        await handleReload(
+          getReloadId(timer.id, timer.tabId === tabId ? null : tabId)
+        );
+      }
+    }
+  }
 });
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === SYNC_ALARM_NAME) {
+    await runCloudSync(mergeWithSync);
+    return;
+  }
+
   if (!alarm.name.startsWith("autoReload-")) {
     return;
   }
 
-  const timerId = alarm.name.replace("autoReload-", "");
-  await handleReload(timerId);
+  const reloadId = alarm.name.replace("autoReload-", "");
+  await handleReload(reloadId);
 });
 
 chrome.storage.onChanged.addListener(async (changes, area) => {
-  if (area !== "local" || !changes.timers) {
+  if (area !== "local") {
+    return;
+  }
+
+  if (changes[GLOBAL_SETTINGS_KEY]) {
+    // Изменилась политика конфликтов - активные таймеры могли поменяться
+    await loadGlobalSettings();
+    refreshBadgeText();
+  }
+
+  if (!changes.timers) {
     return;
   }
 
   timersCache = changes.timers.newValue || {};
+
+  // Удалённые таймеры: гасим badge на всех вкладках, которые они обслуживали
+  for (const [timerId, timer] of Object.entries(
+    changes.timers.oldValue || {}
+  )) {
+    if (!timersCache[timerId]) {
+      for (const tabId of getDrivenTabIds(timer)) {
+        updateBadgeText(tabId, "");
+        setIconForTab(tabId, false);
+      }
+    }
+  }
+
   updateCountdownLoopState();
   refreshBadgeText();
+  updateContextMenus();
 });
 
-// Обработчик сообщений от sidepanel.js
+// Обработчик сообщений от sidepanel.js и content.js
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === "scheduleReload") {
-    scheduleReload(message.timerId, message.intervalSeconds).then(() => {
-      sendResponse({ success: true });
-    });
+  if (message.type === "offscreenReady") {
+    if (resolveOffscreenReady) {
+      resolveOffscreenReady();
+    }
+  } else if (message.type === "scheduleReload") {
+    // Основная вкладка - по сообщению, дополнительные подключаем заново
+    scheduleReload(message.timerId, message.intervalSeconds)
+      .then(() => driveMatchingTabs(message.timerId, { reschedule: true }))
+      .then(() => {
+        sendResponse({ success: true });
+      });
   } else if (message.type === "clearReload") {
-    clearReload(message.timerId).then(() => {
+    clearTimerReloads(message.timerId).then(() => {
       sendResponse({ success: true });
     });
   } else if (message.type === "resumeExpiredTimer") {
-    // Возобновляем истекший таймер
-    handleReload(message.timerId).then(() => {
+    // Возобновляем истекший таймер (drivenTabId - для дополнительной вкладки)
+    handleReload(getReloadId(message.timerId, message.drivenTabId)).then(() => {
+      sendResponse({ success: true });
+    });
+  } else if (message.type === "adoptTimers") {
+    // Импортированные таймеры ищут подходящие открытые вкладки
+    adoptTimersForOpenTabs().then(() => {
+      sendResponse({ success: true });
+    });
+  } else if (message.type === "syncNow") {
+    runCloudSync(syncNow).then((localChanged) => {
+      sendResponse({ success: true, localChanged });
+    });
+  } else if (message.type === "pullFromCloud") {
+    runCloudSync(pullFromCloud).then((localChanged) => {
+      sendResponse({ success: true, localChanged });
+    });
+  } else if (message.type === "reloadNow") {
+    // Внеочередная перезагрузка: активные часы, условия пропуска и отсрочку
+    // при вводе не проверяем, расписание продолжается от этой перезагрузки
+    handleReload(getReloadId(message.timerId, message.drivenTabId), {
+      manual: true,
+    }).then(() => {
+      sendResponse({ success: true });
+    });
+  } else if (message.type === "skipNextReload") {
+    delayNextReload(message.timerId, message.drivenTabId).then((success) => {
+      sendResponse({ success });
+    });
+  } else if (message.type === "snoozeReload") {
+    delayNextReload(
+      message.timerId,
+      message.drivenTabId,
+      message.snoozeSeconds
+    ).then((success) => {
+      sendResponse({ success });
+    });
+  } else if (message.type === "getContentConfig") {
+    // Запрос от content.js: нужно ли снимать снимок страницы
+    getContentConfig(sender.tab?.id, sender.tab?.url).then(sendResponse);
+  } else if (message.type === "adoptTimer") {
+    // Запуск таймера без вкладки на текущей вкладке из side panel
+    getTimers().then(async (allTimers) => {
+      const timer = allTimers[message.timerId];
+      if (timer) {
+        await adoptTimer(timer, message.tabId);
+      }
+      sendResponse({ success: Boolean(timer) });
+    });
+  } else if (message.type === "contentSnapshot") {
+    handleContentSnapshot(sender.tab?.id, message).then(() => {
       sendResponse({ success: true });
     });
   }
   return true; // Асинхронный ответ
 });
 
+// Команды с клавиатуры работают и при закрытом side panel
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (tab) {
+    runCommand(command, tab);
+  }
+});
+
+// Контекстное меню страницы и иконки расширения
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  // Для меню иконки tab - активная вкладка
+  const targetTab = tab && tab.id >= 0 ? tab : await queryActiveTab();
+  if (!targetTab) return;
+
+  const [scope, preset] = String(info.menuItemId).split("-");
+  if (CONTEXT_MENU_SCOPES[scope] && preset === "custom") {
+    // Произвольный интервал задаётся в side panel
+    chrome.sidePanel.open({ windowId: targetTab.windowId });
+  } else if (CONTEXT_MENU_SCOPES[scope]) {
+    if (targetTab.url && /^https?:/i.test(targetTab.url)) {
+      await loadGlobalSettings();
+      await applyIntervalPreset(
+        targetTab,
+        CONTEXT_MENU_SCOPES[scope].ruleType,
+        Number(preset)
+      );
+    }
+  } else {
+    await runCommand(info.menuItemId, targetTab);
+  }
+
+  // Галочка на пункте-флажке ставится сама - приводим меню к состоянию таймера
+  await updateContextMenus();
+});
+
+// Клик по оповещению правила наблюдения - переключаемся на вкладку
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith(WATCH_NOTIFICATION_PREFIX)) {
+    return;
+  }
+
+  const tabId = parseInt(
+    notificationId.slice(WATCH_NOTIFICATION_PREFIX.length)
+  );
+  await focusTab(tabId);
+  chrome.notifications.clear(notificationId);
+});
+
+// Ответ на предложение запустить таймер на вкладке
+chrome.notifications.onButtonClicked.addListener(
+  async (notificationId, buttonIndex) => {
+    if (!notificationId.startsWith(ADOPT_NOTIFICATION_PREFIX)) {
+      return;
+    }
+
+    chrome.notifications.clear(notificationId);
+    if (buttonIndex !== 0) {
+      return;
+    }
+
+    const rest = notificationId.slice(ADOPT_NOTIFICATION_PREFIX.length);
+    const tabId = parseInt(rest);
+    const timerId = rest.slice(rest.indexOf("-") + 1);
+
+    const allTimers = await getTimers();
+    const timer = allTimers[timerId];
+    if (timer && (await getTab(tabId))) {
+      await adoptTimer(timer, tabId);
+    }
+  }
+);
+
 // Принудительная синхронизация при закрытии браузера
 chrome.runtime.onSuspend.addListener(async () => {
   console.log("Browser closing, forcing sync...");
@@ -0,0 +1,293 @@
+/**
+ * Контент-скрипт Page Auto Reloader
+ * После загрузки страницы снимает текстовый снимок и проверяет правила
+ * наблюдения, результаты отправляет в background. По запросу background
+ * сообщает, редактирует ли пользователь страницу
+ */
+
+const SNAPSHOT_DELAY_MS = 1000; // Даём странице дорисовать динамический контент
+const MAX_SNAPSHOT_LENGTH = 20000; // Ограничение размера снимка (символы)
+
+// Типы input, в которые не вводят текст
+const NON_TEXT_INPUT_TYPES = [
+  "button",
+  "checkbox",
+  "color",
+  "file",
+  "hidden",
+  "image",
+  "radio",
+  "range",
+  "reset",
+  "submit",
+];
+
+// Поля, значение которых пользователь не вводит
+const IGNORED_FIELD_TYPES = ["button", "hidden", "image", "reset", "submit"];
+const FORM_FIELD_SELECTOR = "input, textarea, select";
+
+let lastActivityAt = 0; // Последнее действие пользователя (клавиатура/мышь)
+let contentEditableChanged = false; // Ввод в contenteditable-элементы
+// Исходные значения полей, которых касался пользователь: на момент первого
+// касания или последней отправки формы. Поля, заполненные скриптами страницы
+// без участия пользователя, несохранённым вводом не считаются
+const fieldBaselines = new WeakMap();
+
+/**
+ * Нормализация текста: схлопываем пробелы, убираем пустые строки
+ * @param {string} text - Исходный текст
+ * @returns {string} - Нормализованный текст
+ */
+const normalizeText = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+
+/**
+ * Снять снимок страницы или элементов по CSS-селектору
+ * @param {string} selector - CSS-селектор (пустая строка - вся страница)
+ * @returns {{text: string, matched: number, error: string|null}}
+ */
+const captureSnapshot = (selector) => {
+  if (!selector) {
+    const text = normalizeText(document.body ? document.body.innerText : "");
+    return {
+      text: text.slice(0, MAX_SNAPSHOT_LENGTH),
+      matched: 1,
+      error: null,
+    };
+  }
+
+  let elements;
+  try {
+    elements = document.querySelectorAll(selector);
+  } catch (e) {
+    return { text: "", matched: 0, error: `Invalid selector: ${selector}` };
+  }
+
+  const text = normalizeText(
+    Array.from(elements)
+      .map((element) => element.innerText || element.textContent || "")
+      .join("\n")
+  );
+
+  return {
+    text: text.slice(0, MAX_SNAPSHOT_LENGTH),
+    matched: elements.length,
+    error: null,
+  };
+};
+
+/**
+ * Проверить правила наблюдения (ключевые слова / регулярные выражения)
+ * @param {Array<object>} rules - Правила из settings.watch.rules
+ * @returns {Array<{id: string, present: boolean, error: string|null}>}
+ */
+const evaluateWatchRules = (rules) => {
+  const text = normalizeText(document.body ? document.body.innerText : "");
+  const lowerText = text.toLowerCase();
+
+  return rules.map((rule) => {
+    if (!rule.isRegex) {
+      return {
+        id: rule.id,
+        present: lowerText.includes(rule.pattern.toLowerCase()),
+        error: null,
+      };
+    }
+
+    try {
+      return {
+        id: rule.id,
+        present: new RegExp(rule.pattern, "i").test(text),
+        error: null,
+      };
+    } catch (e) {
+      return { id: rule.id, present: false, error: e.message };
+    }
+  });
+};
+
+/**
+ * Текущее значение поля формы в виде строки для сравнения
+ */
+const getFieldValue = (field) => {
+  if (field.type === "checkbox" || field.type === "radio") {
+    return String(field.checked);
+  }
+  if (field.tagName === "SELECT") {
+    return Array.from(field.options)
+      .map((option) => option.selected)
+      .join();
+  }
+  return field.value;
+};
+
+/**
+ * Значение поля из разметки - исходное, если ввод пришёл без касания поля
+ * (например, клик по подписи чекбокса или автозаполнение)
+ */
+const getFieldDefault = (field) => {
+  if (field.type === "checkbox" || field.type === "radio") {
+    return String(field.defaultChecked);
+  }
+  if (field.tagName === "SELECT") {
+    const defaults = Array.from(field.options).map(
+      (option) => option.defaultSelected
+    );
+    // Обычный выпадающий список без selected выбирает первый вариант
+    if (
+      !field.multiple &&
+      field.size <= 1 &&
+      defaults.length > 0 &&
+      !defaults.includes(true)
+    ) {
+      defaults[0] = true;
+    }
+    return defaults.join();
+  }
+  return field.defaultValue;
+};
+
+/**
+ * Есть ли на странице поля с несохранённым вводом
+ */
+const hasDirtyFields = () => {
+  if (contentEditableChanged) {
+    return true;
+  }
+
+  return Array.from(document.querySelectorAll(FORM_FIELD_SELECTOR)).some(
+    (field) =>
+      fieldBaselines.has(field) &&
+      !IGNORED_FIELD_TYPES.includes(field.type) &&
+      getFieldValue(field) !== fieldBaselines.get(field)
+  );
+};
+
+/**
+ * Находится ли фокус в элементе для ввода текста
+ */
+const isEditableFocused = () => {
+  const element = document.activeElement;
+  if (!element) {
+    return false;
+  }
+  if (element.isContentEditable || element.tagName === "TEXTAREA") {
+    return true;
+  }
+  return (
+    element.tagName === "INPUT" && !NON_TEXT_INPUT_TYPES.includes(element.type)
+  );
+};
+
+/**
+ * Состояние редактирования страницы для решения об отсрочке перезагрузки
+ * @returns {{dirty: boolean, focusedEditable: boolean, hasSelection: boolean, lastActivityAgoMs: number|null}}
+ */
+const getEditingState = () => {
+  const selection = window.getSelection();
+
+  return {
+    dirty: hasDirtyFields(),
+    focusedEditable: isEditableFocused(),
+    hasSelection: Boolean(
+      selection && !selection.isCollapsed && selection.toString().trim()
+    ),
+    lastActivityAgoMs: lastActivityAt ? Date.now() - lastActivityAt : null,
+  };
+};
+
+/**
+ * Запомнить исходное значение поля до первого изменения пользователем
+ * @param {EventTarget} target - Элемент, с которым работает пользователь
+ * @param {Function} getBaseline - Исходное значение, если ещё не запомнено
+ */
+const rememberFieldBaseline = (target, getBaseline) => {
+  if (
+    target instanceof Element &&
+    target.matches(FORM_FIELD_SELECTOR) &&
+    !fieldBaselines.has(target)
+  ) {
+    fieldBaselines.set(target, getBaseline(target));
+  }
+};
+
+// Касание поля (фокус, клик, клавиша) - значение до ввода пользователя
+for (const eventName of ["focusin", "pointerdown", "keydown"]) {
+  document.addEventListener(
+    eventName,
+    (event) => {
+      if (event.isTrusted) {
+        rememberFieldBaseline(event.target, getFieldValue);
+      }
+    },
+    true
+  );
+}
+
+// Отслеживаем активность пользователя
+for (const eventName of ["keydown", "mousedown", "wheel", "touchstart"]) {
+  document.addEventListener(
+    eventName,
+    () => {
+      lastActivityAt = Date.now();
+    },
+    { capture: true, passive: true }
+  );
+}
+
+document.addEventListener(
+  "input",
+  (event) => {
+    if (!event.isTrusted) {
+      return;
+    }
+    lastActivityAt = Date.now();
+    if (event.target.isContentEditable) {
+      contentEditableChanged = true;
+    }
+    rememberFieldBaseline(event.target, getFieldDefault);
+  },
+  true
+);
+
+// После отправки формы её текущие значения считаются сохранёнными
+document.addEventListener(
+  "submit",
+  (event) => {
+    for (const field of event.target.elements) {
+      fieldBaselines.set(field, getFieldValue(field));
+    }
+    contentEditableChanged = false;
+  },
+  true
+);
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === "getEditingState") {
+    sendResponse(getEditingState());
+  }
+});
+
+// Спрашиваем у background, нужно ли проверять содержимое этой вкладки
+chrome.runtime.sendMessage({ type: "getContentConfig" }, (config) => {
+  if (chrome.runtime.lastError || !config) {
+    return;
+  }
+
+  setTimeout(() => {
+    const message = { type: "contentSnapshot", timerId: config.timerId };
+
+    if (config.contentCheck) {
+      message.snapshot = captureSnapshot(config.contentCheck.selector);
+    }
+    if (config.watchRules.length > 0) {
+      message.watchResults = evaluateWatchRules(config.watchRules);
+    }
+
+    chrome.runtime.sendMessage(message);
+  }, SNAPSHOT_DELAY_MS);
+});
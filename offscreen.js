@@ -0,0 +1,48 @@
+/**
+ * Offscreen-документ Page Auto Reloader
+ * Проигрывает звук оповещения по запросу background.js
+ */
+
+const BEEP_FREQUENCIES = [880, 660, 880]; // Три коротких сигнала (Гц)
+const BEEP_DURATION = 0.15; // Длительность одного сигнала (секунды)
+const BEEP_GAP = 0.08; // Пауза между сигналами (секунды)
+
+/**
+ * Сгенерировать звуковой сигнал через Web Audio API
+ */
+const playBeep = () => {
+  const audioContext = new AudioContext();
+  let startAt = audioContext.currentTime;
+
+  for (const frequency of BEEP_FREQUENCIES) {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+
+    oscillator.type = "sine";
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.3, startAt);
+    gain.gain.exponentialRampToValueAtTime(0.001, startAt + BEEP_DURATION);
+
+    oscillator.connect(gain);
+    gain.connect(audioContext.destination);
+    oscillator.start(startAt);
+    oscillator.stop(startAt + BEEP_DURATION);
+
+    startAt += BEEP_DURATION + BEEP_GAP;
+  }
+
+  // Освобождаем аудио-контекст после проигрывания
+  setTimeout(
+    () => audioContext.close(),
+    (startAt - audioContext.currentTime) * 1000 + 100
+  );
+};
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type === "playAlertSound") {
+    playBeep();
+  }
+});
+
+// Сообщаем background, что обработчик зарегистрирован и звук можно запрашивать
+chrome.runtime.sendMessage({ type: "offscreenReady" });
@@ -3,353 +3,2803 @@
  */
 
 // ============================================================
-// SYNC STORAGE - Throttle механизм
+// SYNC STORAGE - Отложенная синхронизация
 // ============================================================
 
-let syncThrottleTimer = null;
-let hasPendingSync = false;
-const SYNC_THROTTLE_INTERVAL = 60000; // 60 секунд
+let syncQueue = Promise.resolve(); // Синхронизации в одном контексте идут по очереди
+const SYNC_INTERVAL = 60000; // 60 секунд
+const TOMBSTONES_KEY = "tombstones"; // {timers: {id: deletedAt}, presets: {id: deletedAt}}
+const SYNC_BASE_KEY = "syncBase"; // updatedAt записей на момент последней синхронизации
+const SYNC_CONFLICTS_KEY = "syncConflicts"; // Записи, изменённые с обеих сторон между синхронизациями
+const SYNC_LOG_KEY = "syncLog";
+const TOMBSTONE_TTL_MS = 30 * 24 * 3600 * 1000; // Через 30 дней метка удаления забывается
+const SYNC_LOG_LIMIT = 50; // Сколько последних событий синхронизации хранить
+const SYNC_MANIFEST_KEY = "syncManifest"; // {version, shards, updatedAt}
+const SYNC_SHARD_PREFIX = "syncShard"; // syncShard0, syncShard1, ...
+const SYNC_STATUS_KEY = "syncStatus";
+const LEGACY_SYNC_KEYS = ["timers", "presets", "tombstones"]; // Формат без шардов
+const SYNC_FORMAT_VERSION = 1;
+const SYNC_ITEM_MARGIN = 64; // Запас на длину ключа и кавычки в QUOTA_BYTES_PER_ITEM
+const SYNC_BACKOFF_MIN_MS = 60000; // Первая пауза после ошибки лимита записей
+const SYNC_BACKOFF_MAX_MS = 3600000; // Пауза не дольше часа
+export const SYNC_ALARM_NAME = "cloudSync"; // Alarm отложенной синхронизации (background)
 
 /**
- * Запустить throttle для синхронизации
+ * Запланировать синхронизацию. Сама синхронизация идёт только в background
+ * по alarm SYNC_ALARM_NAME: side panel и service worker не пишут в SYNC
+ * одновременно, а alarm переживает остановку service worker
  */
-const throttledSyncToCloud = () => {
-  hasPendingSync = true;
+const scheduleSyncToCloud = () => {
+  markSyncPending().catch((error) => {
+    console.error("✗ Failed to mark pending sync:", error);
+  });
+};
 
-  // Если таймер уже запущен - ничего не делаем
-  if (syncThrottleTimer !== null) {
-    return;
-  }
+// ============================================================
+// SYNC STORAGE - Трёхсторонний мердж
+// ============================================================
 
-  // Запускаем новый таймер
-  syncThrottleTimer = setTimeout(async () => {
-    syncThrottleTimer = null;
-    hasPendingSync = false;
-    await performSync();
-  }, SYNC_THROTTLE_INTERVAL);
+/**
+ * Прочитать ключи из chrome.storage
+ * @param {string} area - "local" или "sync"
+ * @param {Array<string>} keys - Ключи
+ * @returns {Promise<object>}
+ */
+const readStorage = (area, keys) => {
+  return new Promise((resolve, reject) => {
+    chrome.storage[area].get(keys, (result) => {
+      if (chrome.runtime.lastError) {
+        reject(chrome.runtime.lastError);
+      } else {
+        resolve(result);
+      }
+    });
+  });
 };
 
 /**
- * Выполнить синхронизацию (Read-Merge-Write)
+ * Записать ключи в chrome.storage
+ * @param {string} area - "local" или "sync"
+ * @param {object} items - Ключи и значения
+ * @returns {Promise<void>}
  */
-const performSync = async () => {
-  try {
-    // 1. Читаем SYNC (что уже там есть)
-    const syncData = await new Promise((resolve) => {
-      chrome.storage.sync.get(["timers"], (result) => {
-        if (chrome.runtime.lastError) {
-          console.error("SYNC read error:", chrome.runtime.lastError);
-          resolve({ timers: {} });
-        } else {
-          resolve(result);
-        }
-      });
+const writeStorage = (area, items) => {
+  return new Promise((resolve, reject) => {
+    chrome.storage[area].set(items, () => {
+      if (chrome.runtime.lastError) {
+        reject(chrome.runtime.lastError);
+      } else {
+        resolve();
+      }
     });
-    const syncTimers = syncData.timers || {};
+  });
+};
 
-    // 2. Читаем LOCAL (что у нас)
-    const localTimers = await getTimers();
+const mapValues = (object, mapper) =>
+  Object.fromEntries(
+    Object.entries(object).map(([id, value]) => [id, mapper(value, id)])
+  );
 
-    // 3. Мерджим: добавляем/обновляем из LOCAL
-    for (const [id, localTimer] of Object.entries(localTimers)) {
-      const syncTimer = syncTimers[id];
-      const localUpdatedAt = localTimer.updatedAt || localTimer.createdAt;
+const getRecordUpdatedAt = (record) => record.updatedAt || record.createdAt;
 
-      // Если в SYNC нет, или LOCAL новее - обновляем
-      if (
-        !syncTimer ||
-        localUpdatedAt >= (syncTimer.updatedAt || syncTimer.createdAt)
-      ) {
-        syncTimers[id] = {
-          id: localTimer.id,
-          rule: localTimer.rule,
-          settings: localTimer.settings,
-          createdAt: localTimer.createdAt,
-          updatedAt: localUpdatedAt,
-          // БЕЗ tabId и state!
-        };
-      }
-    }
+/**
+ * Синхронизируемая часть таймера - БЕЗ tabId и state
+ */
+const toSyncTimer = (timer) => ({
+  id: timer.id,
+  rule: timer.rule,
+  settings: timer.settings,
+  createdAt: timer.createdAt,
+  updatedAt: getRecordUpdatedAt(timer),
+});
+
+/**
+ * Таймер для LOCAL из победившей в мердже версии
+ * @param {object} record - Победившая версия
+ * @param {object|undefined} localTimer - Текущий таймер в LOCAL
+ */
+const fromSyncTimer = (record, localTimer) => {
+  if (record === localTimer) {
+    return localTimer;
+  }
+  if (localTimer) {
+    // SYNC новее - обновляем настройки, вкладка и состояние остаются
+    return {
+      ...localTimer,
+      rule: record.rule,
+      settings: record.settings,
+      updatedAt: record.updatedAt,
+    };
+  }
+  // Новый таймер из другого устройства
+  return {
+    ...record,
+    tabId: null, // Будет назначен при открытии вкладки
+    state: {
+      nextReloadAt: Date.now() + record.settings.intervalSeconds * 1000,
+      currentActualInterval: record.settings.intervalSeconds,
+    },
+  };
+};
+
+// Как записи каждой коллекции хранятся в SYNC и описываются в журнале
+const SYNC_COLLECTIONS = {
+  timers: {
+    isSynced: (timer) => isTimerSynced(timer),
+    toSync: toSyncTimer,
+    toLocal: fromSyncTimer,
+    describe: (timer) => describeRule(timer.rule),
+  },
+  presets: {
+    isSynced: () => true,
+    toSync: (preset) => preset,
+    toLocal: (preset) => preset,
+    describe: (preset) => preset.name,
+  },
+};
+
+/**
+ * Трёхсторонний мердж записей LOCAL и SYNC.
+ * Запись, которая есть только на одной стороне, удалена на другой, если там
+ * есть метка удаления новее неё или если она уже была синхронизирована
+ * (есть в базе) и с тех пор не менялась. Иначе другая сторона её ещё не видела.
+ * Если запись изменили с обеих сторон, побеждает более новая версия, а
+ * проигравшая возвращается в discarded
+ * @param {object} local - Записи LOCAL {id: record}
+ * @param {object} remote - Записи SYNC {id: record}
+ * @param {object} base - {id: updatedAt} на момент прошлой синхронизации
+ * @param {object} tombstones - Метки удаления обеих сторон {id: deletedAt}
+ * @param {boolean} preferRemote - Версия из SYNC побеждает всегда (загрузка из облака)
+ * @returns {{merged: object, changes: Array<{id: string, action: string, side: string, record: object, discarded?: object}>}}
+ */
+const mergeRecords = (
+  local,
+  remote,
+  base,
+  tombstones,
+  preferRemote = false
+) => {
+  const merged = {};
+  const changes = [];
 
-    // 4. Удаляем из SYNC то, чего нет в LOCAL (было удалено)
-    for (const id of Object.keys(syncTimers)) {
-      if (!localTimers[id]) {
-        delete syncTimers[id];
+  for (const id of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+    const localRecord = local[id];
+    const remoteRecord = remote[id];
+
+    if (localRecord && remoteRecord) {
+      const localUpdatedAt = getRecordUpdatedAt(localRecord);
+      const remoteUpdatedAt = getRecordUpdatedAt(remoteRecord);
+      merged[id] =
+        preferRemote || remoteUpdatedAt > localUpdatedAt
+          ? remoteRecord
+          : localRecord;
+      if (remoteUpdatedAt !== localUpdatedAt) {
+        const isConflict =
+          id in base && localUpdatedAt > base[id] && remoteUpdatedAt > base[id];
+        changes.push({
+          id,
+          action: "updated",
+          side: merged[id] === remoteRecord ? "local" : "cloud",
+          record: merged[id],
+          ...(isConflict && {
+            discarded: merged[id] === remoteRecord ? localRecord : remoteRecord,
+          }),
+        });
       }
+      continue;
     }
 
-    // 5. Пишем объединённую версию в SYNC
-    await new Promise((resolve, reject) => {
-      chrome.storage.sync.set({ timers: syncTimers }, () => {
-        if (chrome.runtime.lastError) {
-          reject(chrome.runtime.lastError);
-        } else {
-          resolve();
-        }
-      });
-    });
+    const record = localRecord || remoteRecord;
+    const updatedAt = getRecordUpdatedAt(record);
+    const wasDeleted =
+      !(preferRemote && remoteRecord) &&
+      ((tombstones[id] || 0) >= updatedAt ||
+        (id in base && updatedAt <= base[id]));
 
-    console.log("✓ Synced to cloud:", Object.keys(syncTimers).length, "timers");
-  } catch (error) {
-    console.error("✗ Sync failed:", error);
-    // Если SYNC недоступен - продолжаем работу на LOCAL
+    if (wasDeleted) {
+      // Удаляем с той стороны, где запись ещё осталась
+      changes.push({
+        id,
+        action: "removed",
+        side: localRecord ? "local" : "cloud",
+        record,
+      });
+    } else {
+      // Копируем на сторону, которая её ещё не видела
+      merged[id] = record;
+      changes.push({
+        id,
+        action: "added",
+        side: localRecord ? "cloud" : "local",
+        record,
+      });
+    }
   }
+
+  return { merged, changes };
 };
 
 /**
- * Принудительная синхронизация (при закрытии браузера)
+ * Объединить метки удаления двух сторон (берём более позднюю)
  */
-export const forceSyncToCloud = async () => {
-  if (syncThrottleTimer) {
-    clearTimeout(syncThrottleTimer);
-    syncThrottleTimer = null;
-  }
-  if (hasPendingSync) {
-    await performSync();
-    hasPendingSync = false;
+const unionTombstones = (first = {}, second = {}) => {
+  const result = { ...first };
+  for (const [id, deletedAt] of Object.entries(second)) {
+    result[id] = Math.max(result[id] || 0, deletedAt);
   }
+  return result;
 };
 
 /**
- * Мердж LOCAL с SYNC при старте браузера
+ * Убрать метки удаления для воскрешённых записей и устаревшие метки
  */
-export const mergeWithSync = async () => {
-  try {
-    // 1. Читаем SYNC
-    const syncData = await new Promise((resolve) => {
-      chrome.storage.sync.get(["timers"], (result) => {
-        if (chrome.runtime.lastError) {
-          console.log("Sync недоступен, работаем только с LOCAL");
-          resolve({ timers: {} });
-        } else {
-          resolve(result);
-        }
-      });
+const pruneTombstones = (tombstones, merged, now) =>
+  Object.fromEntries(
+    Object.entries(tombstones).filter(
+      ([id, deletedAt]) => !merged[id] && now - deletedAt <= TOMBSTONE_TTL_MS
+    )
+  );
+
+/**
+ * Запомнить удаление записи, чтобы синхронизация не вернула её обратно
+ * @param {string} collection - "timers" или "presets"
+ * @param {string} id - ID удалённой записи
+ * @returns {Promise<void>}
+ */
+const addTombstone = (collection, id) => {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([TOMBSTONES_KEY], (result) => {
+      const tombstones = result[TOMBSTONES_KEY] || {};
+      tombstones[collection] = {
+        ...tombstones[collection],
+        [id]: Date.now(),
+      };
+      chrome.storage.local.set({ [TOMBSTONES_KEY]: tombstones }, resolve);
     });
-    const syncTimers = syncData.timers || {};
-
-    if (Object.keys(syncTimers).length === 0) {
-      return false; // Нечего мерджить
-    }
-
-    // 2. Читаем LOCAL
-    const localTimers = await getTimers();
-    let hasChanges = false;
-
-    // 3. Мерджим: добавляем из SYNC то, чего нет или что новее
-    for (const [id, syncTimer] of Object.entries(syncTimers)) {
-      const localTimer = localTimers[id];
-
-      if (!localTimer) {
-        // Новый таймер из другого устройства
-        localTimers[id] = {
-          ...syncTimer,
-          tabId: null, // Будет назначен при открытии вкладки
-          state: {
-            nextReloadAt:
-              Date.now() + syncTimer.settings.intervalSeconds * 1000,
-            currentActualInterval: syncTimer.settings.intervalSeconds,
-          },
-        };
-        hasChanges = true;
-        console.log("✓ Restored from sync:", syncTimer.rule.value);
-      } else {
-        // Таймер существует - проверяем timestamp
-        const localUpdatedAt = localTimer.updatedAt || localTimer.createdAt;
-        const syncUpdatedAt = syncTimer.updatedAt || syncTimer.createdAt;
-
-        if (syncUpdatedAt > localUpdatedAt) {
-          // SYNC новее - обновляем настройки
-          localTimers[id].rule = syncTimer.rule;
-          localTimers[id].settings = syncTimer.settings;
-          localTimers[id].updatedAt = syncUpdatedAt;
-          hasChanges = true;
-          console.log("✓ Updated from sync:", syncTimer.rule.value);
-        }
-      }
-    }
+  });
+};
 
-    // 4. Сохраняем обновлённый LOCAL (БЕЗ throttle - это старт)
-    if (hasChanges) {
-      await new Promise((resolve) => {
-        chrome.storage.local.set({ [TIMERS_KEY]: localTimers }, resolve);
-      });
-      return true;
-    }
+/**
+ * Добавить события в журнал синхронизации (новые сверху)
+ * @param {Array<object>} entries - События
+ * @returns {Promise<void>}
+ */
+const appendSyncLog = async (entries) => {
+  const result = await readStorage("local", [SYNC_LOG_KEY]);
+  const log = [...entries, ...(result[SYNC_LOG_KEY] || [])];
+  await writeStorage("local", { [SYNC_LOG_KEY]: log.slice(0, SYNC_LOG_LIMIT) });
+};
 
-    return false;
-  } catch (error) {
-    console.error("Merge failed:", error);
-    return false;
-  }
+/**
+ * Получить журнал синхронизации
+ * @returns {Promise<Array<{at: number, collection: string, action: string, side: string, id: string, label: string}>>}
+ */
+export const getSyncLog = () => {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([SYNC_LOG_KEY], (result) => {
+      resolve(result[SYNC_LOG_KEY] || []);
+    });
+  });
 };
 
 // ============================================================
-// УТИЛИТЫ
+// SYNC STORAGE - Шарды, сжатие и квота
 // ============================================================
 
 /**
- * Извлечь домен из URL
- * @param {string} url - URL для обработки
- * @returns {string|null} - Домен или null
+ * Сжать текст (deflate) в строку base64
+ * @param {string} text - Исходный текст
+ * @returns {Promise<string>}
  */
-export const getDomainFromUrl = (url) => {
-  try {
-    const urlObj = new URL(url);
-    return urlObj.hostname;
-  } catch (e) {
-    return null;
+const compressText = async (text) => {
+  const stream = new Blob([text])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate-raw"));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+  // String.fromCharCode с большим массивом аргументов переполняет стек
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
   }
+  return btoa(binary);
 };
 
 /**
- * Форматирование времени для отображения
- * @param {number} totalSeconds - Общее количество секунд
- * @returns {string} - Отформатированная строка времени
+ * Распаковать строку base64, сжатую compressText
+ * @param {string} encoded - Сжатые данные
+ * @returns {Promise<string>}
  */
-export const formatTime = (totalSeconds) => {
-  const hours = Math.floor(totalSeconds / 3600);
-  const minutes = Math.floor((totalSeconds % 3600) / 60);
-  const seconds = totalSeconds % 60;
+const decompressText = async (encoded) => {
+  const bytes = Uint8Array.from(atob(encoded), (char) => char.charCodeAt(0));
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).text();
+};
 
-  const parts = [];
-  if (hours > 0) parts.push(`${hours}h`);
-  if (minutes > 0) parts.push(`${minutes}m`);
-  if (seconds > 0 || parts.length === 0) parts.push(`${seconds}s`);
+const getShardKey = (index) => `${SYNC_SHARD_PREFIX}${index}`;
 
-  return parts.join(" ");
-};
+/**
+ * Размер элементов так, как его считает квота chrome.storage.sync
+ */
+const getItemsBytes = (items) =>
+  Object.entries(items).reduce(
+    (total, [key, value]) => total + key.length + JSON.stringify(value).length,
+    0
+  );
 
 /**
- * Генерация UUID v4
- * @returns {string} - UUID строка
+ * Прочитать данные из SYNC (манифест + шарды или старый формат)
+ * @returns {Promise<{data: object, encoded: string|null, shardCount: number, hasLegacyKeys: boolean}>}
  */
-export const generateUUID = () => {
-  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
-    const r = (Math.random() * 16) | 0;
-    const v = c === "x" ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  });
+const readCloudData = async () => {
+  const result = await readStorage("sync", [
+    SYNC_MANIFEST_KEY,
+    ...LEGACY_SYNC_KEYS,
+  ]);
+  const hasLegacyKeys = LEGACY_SYNC_KEYS.some((key) => key in result);
+  const manifest = result[SYNC_MANIFEST_KEY];
+
+  if (!manifest) {
+    // Старый формат: каждая коллекция целиком в своём ключе
+    return { data: result, encoded: null, shardCount: 0, hasLegacyKeys };
+  }
+
+  if (manifest.version > SYNC_FORMAT_VERSION) {
+    throw new Error(
+      "Cloud data was written by a newer version of the extension"
+    );
+  }
+
+  const shardKeys = Array.from({ length: manifest.shards }, (_, index) =>
+    getShardKey(index)
+  );
+  const shards = await readStorage("sync", shardKeys);
+  if (shardKeys.some((key) => typeof shards[key] !== "string")) {
+    throw new Error("Cloud data is incomplete");
+  }
+
+  const encoded = shardKeys.map((key) => shards[key]).join("");
+  const data = JSON.parse(await decompressText(encoded));
+  return { data, encoded, shardCount: manifest.shards, hasLegacyKeys };
 };
 
 /**
- * Определяет единственный активный таймер для заданного URL, разрешая конфликты.
- * Приоритет: доменное правило > URL-правило.
- * @param {object} allTimers - Объект всех таймеров из storage
- * @param {string} currentUrl - Текущий URL страницы
- * @returns {object|null} - Объект активного таймера или null
+ * Записать данные в SYNC: сжимаем и режем на шарды по QUOTA_BYTES_PER_ITEM
+ * @param {object} data - {timers, presets, tombstones}
+ * @param {object} previous - Результат readCloudData
+ * @returns {Promise<{written: boolean, overQuota: boolean, bytes: number}>}
  */
-export const findActiveTimerForUrl = (allTimers, currentUrl) => {
-  const matchingTimers = [];
-  const currentDomain = getDomainFromUrl(currentUrl);
+const writeCloudData = async (data, previous) => {
+  const { QUOTA_BYTES, QUOTA_BYTES_PER_ITEM, MAX_ITEMS } = chrome.storage.sync;
+  const encoded = await compressText(JSON.stringify(data));
 
-  for (const timerId in allTimers) {
-    const timer = allTimers[timerId];
+  // Ничего не изменилось - не тратим лимит операций записи
+  if (encoded === previous.encoded && !previous.hasLegacyKeys) {
+    return { written: false, overQuota: false, bytes: encoded.length };
+  }
 
-    if (timer.rule.type === "url" && timer.rule.value === currentUrl) {
-      matchingTimers.push(timer);
-    } else if (
-      timer.rule.type === "domain" &&
-      timer.rule.value === currentDomain
-    ) {
-      matchingTimers.push(timer);
-    }
+  const shardSize = QUOTA_BYTES_PER_ITEM - SYNC_ITEM_MARGIN;
+  const items = {};
+  let shardCount = 0;
+  for (let start = 0; start < encoded.length; start += shardSize) {
+    items[getShardKey(shardCount)] = encoded.slice(start, start + shardSize);
+    shardCount++;
   }
+  items[SYNC_MANIFEST_KEY] = {
+    version: SYNC_FORMAT_VERSION,
+    shards: shardCount,
+    updatedAt: Date.now(),
+  };
 
-  if (matchingTimers.length === 0) return null;
-  if (matchingTimers.length === 1) return matchingTimers[0];
+  const bytes = getItemsBytes(items);
+  if (bytes > QUOTA_BYTES || shardCount + 1 > MAX_ITEMS) {
+    return { written: false, overQuota: true, bytes };
+  }
 
-  // Разрешение конфликта
-  // 1. Доменный таймер всегда имеет приоритет
-  const domainTimer = matchingTimers.find((t) => t.rule.type === "domain");
-  if (domainTimer) return domainTimer;
+  // Одна операция записи на все шарды и манифест
+  await writeStorage("sync", items);
+
+  // Убираем лишние шарды от прошлой, более длинной версии и старый формат
+  const staleKeys = [];
+  for (let index = shardCount; index < previous.shardCount; index++) {
+    staleKeys.push(getShardKey(index));
+  }
+  if (previous.hasLegacyKeys) {
+    staleKeys.push(...LEGACY_SYNC_KEYS);
+  }
+  if (staleKeys.length > 0) {
+    await new Promise((resolve, reject) => {
+      chrome.storage.sync.remove(staleKeys, () => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
 
-  // 2. Если доменного нет, но есть несколько URL-правил,
-  // берем самый новый (по createdAt)
-  return matchingTimers.sort((a, b) => b.createdAt - a.createdAt)[0];
+  return { written: true, overQuota: false, bytes };
 };
 
 /**
- * Storage утилиты для работы с таймерами
+ * Сколько байт SYNC сейчас занято
+ * @returns {Promise<number|null>}
  */
-
-const TIMERS_KEY = "timers";
+const getSyncBytesInUse = () => {
+  return new Promise((resolve) => {
+    chrome.storage.sync.getBytesInUse(null, (bytes) => {
+      resolve(chrome.runtime.lastError ? null : bytes);
+    });
+  });
+};
 
 /**
- * Получить все таймеры из storage
- * @returns {Promise<object>} - Объект с таймерами
+ * Получить состояние синхронизации
+ * @returns {Promise<{state: string, bytesInUse: number|null, quotaBytes: number, pausedUntil: number|null, backoffMs: number, lastError: string|null, lastSuccessAt: number|null, pendingSince: number|null}>}
  */
-export const getTimers = () => {
+export const getSyncStatus = () => {
   return new Promise((resolve) => {
-    chrome.storage.local.get([TIMERS_KEY], (result) => {
-      resolve(result[TIMERS_KEY] || {});
+    chrome.storage.local.get([SYNC_STATUS_KEY], (result) => {
+      resolve({
+        state: "ok",
+        bytesInUse: null,
+        quotaBytes: chrome.storage.sync.QUOTA_BYTES,
+        pausedUntil: null,
+        backoffMs: 0,
+        lastError: null,
+        lastSuccessAt: null,
+        pendingSince: null,
+        ...result[SYNC_STATUS_KEY],
+      });
     });
   });
 };
 
 /**
- * Сохранить все таймеры в storage
- * @param {object} timers - Объект с таймерами
+ * Обновить состояние синхронизации
+ * @param {object} updates - Объект с обновлениями
+ * @returns {Promise<object>} - Новое состояние
+ */
+const updateSyncStatus = async (updates) => {
+  const status = { ...(await getSyncStatus()), ...updates };
+  await writeStorage("local", { [SYNC_STATUS_KEY]: status });
+  return status;
+};
+
+/**
+ * Запланировать синхронизацию через SYNC_INTERVAL (или после паузы), если
+ * она ещё не запланирована - изменения накапливаются до срабатывания alarm
+ * @param {number|null} pausedUntil - Конец паузы после ошибки лимита записей
  * @returns {Promise<void>}
  */
-export const setTimers = (timers) => {
+export const scheduleSyncAlarm = (pausedUntil = null) => {
   return new Promise((resolve) => {
-    if (Object.keys(timers).length === 0) {
-      chrome.storage.local.remove(TIMERS_KEY, () => {
-        throttledSyncToCloud(); // Запускаем throttle
-        resolve();
-      });
-      return;
-    }
-    chrome.storage.local.set({ [TIMERS_KEY]: timers }, () => {
-      throttledSyncToCloud(); // Запускаем throttle
+    chrome.alarms.get(SYNC_ALARM_NAME, (alarm) => {
+      if (!alarm) {
+        chrome.alarms.create(SYNC_ALARM_NAME, {
+          when: Math.max(Date.now() + SYNC_INTERVAL, pausedUntil || 0),
+        });
+      }
       resolve();
     });
   });
 };
 
 /**
- * Добавить новый таймер
- * @param {object} timer - Объект таймера
- * @returns {Promise<void>}
+ * Повторить синхронизацию после паузы (alarm переносится на конец паузы)
+ * @param {number} when - Момент повтора (мс)
  */
-export const addTimer = async (timer) => {
-  const timers = await getTimers();
-  timer.updatedAt = Date.now(); // Добавляем timestamp
-  timers[timer.id] = timer;
-  await setTimers(timers);
+const scheduleSyncRetry = (when) => {
+  chrome.alarms.create(SYNC_ALARM_NAME, { when });
 };
 
 /**
- * Удалить таймер по ID
- * @param {string} timerId - ID таймера
- * @returns {Promise<void>}
+ * Запомнить, что есть неотправленные изменения, и запланировать их отправку
  */
-export const removeTimer = async (timerId) => {
-  const timers = await getTimers();
-  delete timers[timerId];
-  await setTimers(timers);
+const markSyncPending = async () => {
+  const status = await getSyncStatus();
+  if (!status.pendingSince) {
+    await updateSyncStatus({ pendingSince: Date.now() });
+  }
+  await scheduleSyncAlarm(status.pausedUntil);
 };
 
 /**
- * Обновить таймер
- * @param {string} timerId - ID таймера
- * @param {object} updates - Объект с обновлениями
- * @returns {Promise<void>}
+ * Отложить синхронизацию после ошибки лимита записей (экспоненциально)
+ * @param {object} status - Текущее состояние синхронизации
+ * @param {string} message - Текст ошибки
  */
-export const updateTimer = async (timerId, updates) => {
-  const timers = await getTimers();
-  if (timers[timerId]) {
-    // Для обновления state НЕ меняем updatedAt (state не синхронизируется)
-    const isStateOnlyUpdate =
-      Object.keys(updates).length === 1 && updates.state;
+const backOffSync = async (status, message) => {
+  const backoffMs = Math.min(
+    Math.max(status.backoffMs * 2, SYNC_BACKOFF_MIN_MS),
+    SYNC_BACKOFF_MAX_MS
+  );
+  const { pausedUntil } = await updateSyncStatus({
+    state: "paused",
+    pausedUntil: Date.now() + backoffMs,
+    backoffMs,
+    lastError: message,
+  });
+  scheduleSyncRetry(pausedUntil);
+};
 
-    if (!isStateOnlyUpdate) {
-      updates.updatedAt = Date.now(); // Только для настроек
+/**
+ * Мердж одной коллекции. Записи только для этого устройства в мердже не
+ * участвуют, их копия убирается из SYNC (если она не новее локальной)
+ * @param {string} collection - "timers" или "presets"
+ * @param {object} localData - LOCAL (коллекции, метки удаления, база, конфликты)
+ * @param {object} syncData - SYNC (коллекции и метки удаления)
+ * @param {number} now - Момент синхронизации
+ * @param {boolean} pull - Только загрузка из облака: SYNC побеждает и не меняется
+ * @returns {{cloudRecords: object, localPatch: object, base: object, tombstones: object, conflicts: object, changes: Array<object>}}
+ */
+const mergeCollection = (collection, localData, syncData, now, pull) => {
+  const adapter = SYNC_COLLECTIONS[collection];
+  const localRecords = localData[collection] || {};
+  // Копии, которые не должны синхронизироваться (например, таймеры "tab"
+  // от старой версии), другим устройствам не достаются и из SYNC убираются
+  const remoteRecords = Object.fromEntries(
+    Object.entries(syncData[collection] || {}).filter(([, record]) =>
+      adapter.isSynced(record)
+    )
+  );
+  const syncedLocal = {};
+  const keptRemote = {};
+  const localOnlyChanges = [];
+
+  for (const [id, record] of Object.entries(localRecords)) {
+    if (adapter.isSynced(record)) {
+      syncedLocal[id] = record;
+      continue;
+    }
+
+    const remoteRecord = remoteRecords[id];
+    delete remoteRecords[id];
+    if (!remoteRecord) continue;
+
+    if (getRecordUpdatedAt(remoteRecord) > getRecordUpdatedAt(record)) {
+      // Другое устройство изменило запись позже - его копию не трогаем
+      keptRemote[id] = remoteRecord;
+    } else {
+      localOnlyChanges.push({ id, action: "removed", side: "cloud", record });
+    }
+  }
+
+  const tombstones = unionTombstones(
+    (localData[TOMBSTONES_KEY] || {})[collection],
+    (syncData[TOMBSTONES_KEY] || {})[collection]
+  );
+  const { merged, changes } = mergeRecords(
+    syncedLocal,
+    remoteRecords,
+    (localData[SYNC_BASE_KEY] || {})[collection] || {},
+    tombstones,
+    pull
+  );
+
+  // Конфликт остаётся, пока запись не изменится или не будет удалена
+  const conflicts = Object.fromEntries(
+    Object.entries(
+      (localData[SYNC_CONFLICTS_KEY] || {})[collection] || {}
+    ).filter(
+      ([id, conflict]) =>
+        merged[id] && getRecordUpdatedAt(merged[id]) === conflict.updatedAt
+    )
+  );
+  for (const change of changes) {
+    if (change.discarded) {
+      conflicts[change.id] = {
+        at: now,
+        updatedAt: getRecordUpdatedAt(change.record),
+        keptSide: change.side === "local" ? "cloud" : "local",
+        discarded: adapter.toSync(change.discarded),
+      };
+    }
+  }
+
+  return {
+    cloudRecords: { ...keptRemote, ...mapValues(merged, adapter.toSync) },
+    // Только записи, изменившиеся на стороне LOCAL: {id: record|null}
+    localPatch: Object.fromEntries(
+      changes
+        .filter((change) => change.side === "local")
+        .map((change) => [change.id, merged[change.id] || null])
+    ),
+    // При загрузке SYNC не пишется - в базе только совпавшие с ним версии
+    base: Object.fromEntries(
+      Object.entries(merged)
+        .filter(([id, record]) => !pull || record === remoteRecords[id])
+        .map(([id, record]) => [id, getRecordUpdatedAt(record)])
+    ),
+    tombstones: pruneTombstones(tombstones, merged, now),
+    conflicts,
+    changes: [...changes, ...localOnlyChanges],
+  };
+};
+
+/**
+ * Применить изменения из мерджа к свежей копии LOCAL. Пока шла запись в
+ * SYNC, записи могли добавить, удалить или изменить - такие записи не
+ * трогаем, их заберёт следующая синхронизация
+ * @param {string} collection - "timers" или "presets"
+ * @param {object} patch - {id: record|null} из mergeCollection
+ * @param {object} snapshot - Записи LOCAL, с которыми шёл мердж
+ * @param {object} current - Записи LOCAL сейчас
+ * @returns {object|null} - Новые записи или null, если менять нечего
+ */
+const applyLocalPatch = (collection, patch, snapshot, current) => {
+  const adapter = SYNC_COLLECTIONS[collection];
+  const result = { ...current };
+  let changed = false;
+
+  for (const [id, record] of Object.entries(patch)) {
+    const before = snapshot[id];
+    const after = current[id];
+    const untouched = before
+      ? after && getRecordUpdatedAt(after) === getRecordUpdatedAt(before)
+      : !after;
+    if (!untouched) continue;
+
+    if (record) {
+      // Свежая копия - чтобы не потерять вкладку и состояние перезагрузок
+      result[id] = adapter.toLocal(record, after);
+    } else {
+      delete result[id];
+    }
+    changed = true;
+  }
+
+  return changed ? result : null;
+};
+
+/**
+ * Добавить к меткам удаления после мерджа метки, появившиеся в LOCAL
+ * во время синхронизации
+ * @param {object} merged - Метки после мерджа {id: deletedAt}
+ * @param {object} snapshot - Метки LOCAL, с которыми шёл мердж
+ * @param {object} current - Метки LOCAL сейчас
+ * @returns {object}
+ */
+const keepNewTombstones = (merged, snapshot = {}, current = {}) => {
+  const result = { ...merged };
+  for (const [id, deletedAt] of Object.entries(current)) {
+    if (deletedAt > (snapshot[id] || 0)) {
+      result[id] = Math.max(result[id] || 0, deletedAt);
     }
+  }
+  return result;
+};
+
+/**
+ * Синхронизируется ли таймер с другими устройствами
+ * (таймеры, созданные до появления настройки, синхронизируются).
+ * Правило "tab" привязано к вкладке этого устройства и не синхронизируется
+ * никогда: на другом устройстве оно подхватило бы чужую вкладку
+ * @param {object} timer - Таймер
+ * @returns {boolean}
+ */
+export const isTimerSynced = (timer) =>
+  timer.rule.type !== "tab" && timer.settings.sync !== false;
+
+/**
+ * Состояние синхронизации каждого таймера для значков в side panel
+ * @param {object} timers - Таймеры {id: timer}
+ * @returns {Promise<object>} - {id: "local"|"synced"|"pending"|"conflict"}
+ */
+export const getTimerSyncStates = async (timers) => {
+  const result = await readStorage("local", [
+    SYNC_BASE_KEY,
+    SYNC_CONFLICTS_KEY,
+  ]);
+  const base = (result[SYNC_BASE_KEY] || {}).timers || {};
+  const conflicts = (result[SYNC_CONFLICTS_KEY] || {}).timers || {};
+
+  return mapValues(timers, (timer, id) => {
+    if (!isTimerSynced(timer)) return "local";
+    if (conflicts[id]) return "conflict";
+    return base[id] === getRecordUpdatedAt(timer) ? "synced" : "pending";
+  });
+};
+
+/**
+ * Выполнить синхронизацию (Read-Merge-Write) в обе стороны
+ * @param {object} options
+ * @param {boolean} options.force - Не ждать окончания паузы после ошибки лимита
+ * @param {boolean} options.pull - Только загрузить из облака, его версии побеждают
+ * @returns {Promise<boolean>} - true если LOCAL изменён
+ */
+const runSync = async ({ force = false, pull = false } = {}) => {
+  const status = await getSyncStatus();
+  if (!force && status.pausedUntil > Date.now()) {
+    // Лимит записей ещё не восстановился - попробуем, когда пауза закончится
+    scheduleSyncRetry(status.pausedUntil);
+    return false;
+  }
+
+  try {
+    const collections = Object.keys(SYNC_COLLECTIONS);
+
+    // 1. Читаем SYNC и LOCAL
+    const cloud = await readCloudData();
+    const syncData = cloud.data;
+    const localData = await readStorage("local", [
+      ...collections,
+      TOMBSTONES_KEY,
+      SYNC_BASE_KEY,
+      SYNC_CONFLICTS_KEY,
+    ]);
+    const now = Date.now();
+
+    const cloudData = { [TOMBSTONES_KEY]: {} };
+    const localPatches = {};
+    const nextBase = {};
+    const nextConflicts = {};
+    const logEntries = [];
 
-    timers[timerId] = { ...timers[timerId], ...updates };
-    await setTimers(timers);
+    // 2. Мерджим каждую коллекцию
+    for (const collection of collections) {
+      const result = mergeCollection(
+        collection,
+        localData,
+        syncData,
+        now,
+        pull
+      );
+
+      cloudData[collection] = result.cloudRecords;
+      cloudData[TOMBSTONES_KEY][collection] = result.tombstones;
+      localPatches[collection] = result.localPatch;
+      nextBase[collection] = result.base;
+      nextConflicts[collection] = result.conflicts;
+
+      for (const change of result.changes) {
+        logEntries.push({
+          at: now,
+          collection,
+          action: change.action,
+          side: change.side,
+          id: change.id,
+          label: SYNC_COLLECTIONS[collection].describe(change.record),
+          conflict: Boolean(change.discarded),
+        });
+      }
+    }
+
+    // 3. Пишем объединённую версию в SYNC, затем в LOCAL
+    const written = pull
+      ? { written: false, overQuota: false, bytes: null }
+      : await writeCloudData(cloudData, cloud);
+
+    // Пока шла запись в SYNC, LOCAL мог измениться (перезагрузки, новые
+    // и удалённые таймеры) - применяем мердж к свежей копии
+    const currentData = await readStorage("local", [
+      ...collections,
+      TOMBSTONES_KEY,
+    ]);
+    const localUpdates = {};
+    for (const collection of collections) {
+      const records = applyLocalPatch(
+        collection,
+        localPatches[collection],
+        localData[collection] || {},
+        currentData[collection] || {}
+      );
+      if (records) {
+        localUpdates[collection] = records;
+      }
+    }
+    const tombstones = mapValues(cloudData[TOMBSTONES_KEY], (merged, id) =>
+      keepNewTombstones(
+        merged,
+        (localData[TOMBSTONES_KEY] || {})[id],
+        (currentData[TOMBSTONES_KEY] || {})[id]
+      )
+    );
+
+    // База - только то, что действительно есть в SYNC, иначе
+    // неотправленные записи в следующий раз сочтутся удалёнными
+    await writeStorage("local", {
+      ...localUpdates,
+      [TOMBSTONES_KEY]: tombstones,
+      [SYNC_CONFLICTS_KEY]: nextConflicts,
+      ...(written.overQuota ? {} : { [SYNC_BASE_KEY]: nextBase }),
+    });
+
+    const loggedEntries =
+      pull || written.overQuota
+        ? logEntries.filter((entry) => entry.side === "local")
+        : logEntries;
+    if (loggedEntries.length > 0) {
+      await appendSyncLog(loggedEntries);
+    }
+
+    if (pull) {
+      console.log("✓ Pulled from cloud");
+    } else if (written.overQuota) {
+      console.warn("✗ Sync over quota:", written.bytes, "bytes");
+      await updateSyncStatus({
+        state: "over-quota",
+        bytesInUse: written.bytes,
+        lastError: "Cloud storage quota exceeded",
+      });
+    } else {
+      console.log(
+        "✓ Synced to cloud:",
+        Object.keys(cloudData.timers).length,
+        "timers"
+      );
+      await updateSyncStatus({
+        state: "ok",
+        bytesInUse: await getSyncBytesInUse(),
+        pausedUntil: null,
+        backoffMs: 0,
+        lastError: null,
+        lastSuccessAt: Date.now(),
+        pendingSince: null,
+      });
+    }
+    return Object.keys(localUpdates).length > 0;
+  } catch (error) {
+    console.error("✗ Sync failed:", error);
+    // Если SYNC недоступен - продолжаем работу на LOCAL
+    const message = error.message || String(error);
+    if (message.includes("MAX_WRITE_OPERATIONS")) {
+      await backOffSync(status, message);
+    } else {
+      await updateSyncStatus({
+        state: message.includes("QUOTA_BYTES") ? "over-quota" : "error",
+        lastError: message,
+      });
+    }
+    return false;
+  }
+};
+
+/**
+ * Синхронизация в очереди: alarm, кнопки side panel и старт браузера
+ * не должны писать в SYNC одновременно
+ * @param {object} options - См. runSync
+ * @returns {Promise<boolean>} - true если LOCAL изменён
+ */
+const performSync = (options) => {
+  const run = syncQueue.then(() => runSync(options));
+  syncQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Принудительная синхронизация (при закрытии браузера)
+ */
+export const forceSyncToCloud = async () => {
+  const status = await getSyncStatus();
+  if (status.pendingSince) {
+    await performSync();
+  }
+};
+
+/**
+ * Мердж LOCAL с SYNC при старте браузера
+ * @returns {Promise<boolean>} - true если LOCAL изменён
+ */
+export const mergeWithSync = () => performSync();
+
+/**
+ * Синхронизация по запросу пользователя (без ожидания alarm и паузы)
+ * @returns {Promise<boolean>} - true если LOCAL изменён
+ */
+export const syncNow = () => performSync({ force: true });
+
+/**
+ * Загрузить версии из облака: при расхождении побеждает облако,
+ * в облако ничего не пишется
+ * @returns {Promise<boolean>} - true если LOCAL изменён
+ */
+export const pullFromCloud = () => performSync({ force: true, pull: true });
+
+/**
+ * Таймеры, копии которых на этом устройстве и в облаке расходятся:
+ * конфликт при мердже (другая копия - проигравшая) или ещё не
+ * синхронизированные изменения с обеих сторон
+ * @returns {Promise<Array<{id: string, current: object, other: object, otherSource: string, conflict: boolean}>>}
+ */
+export const getSyncDivergence = async () => {
+  const cloud = await readCloudData();
+  const cloudTimers = cloud.data.timers || {};
+  const localData = await readStorage("local", [
+    TIMERS_KEY,
+    SYNC_CONFLICTS_KEY,
+  ]);
+  const localTimers = localData[TIMERS_KEY] || {};
+  const conflicts = (localData[SYNC_CONFLICTS_KEY] || {}).timers || {};
+  const result = [];
+
+  for (const [id, timer] of Object.entries(localTimers)) {
+    if (!isTimerSynced(timer)) continue;
+
+    const current = toSyncTimer(timer);
+    if (conflicts[id]) {
+      result.push({
+        id,
+        current,
+        other: conflicts[id].discarded,
+        otherSource: conflicts[id].keptSide === "local" ? "cloud" : "local",
+        conflict: true,
+      });
+    } else if (
+      cloudTimers[id] &&
+      getRecordUpdatedAt(cloudTimers[id]) !== current.updatedAt
+    ) {
+      result.push({
+        id,
+        current,
+        other: cloudTimers[id],
+        otherSource: "cloud",
+        conflict: false,
+      });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Выбрать копию таймера при расхождении. Выбранная копия сохраняется как
+ * самое новое изменение и побеждает при следующей синхронизации
+ * @param {string} timerId - ID таймера
+ * @param {object|null} copy - Другая копия из getSyncDivergence (null - оставить текущую)
+ * @returns {Promise<void>}
+ */
+export const resolveSyncDivergence = async (timerId, copy) => {
+  const timers = await getTimers();
+  const timer = timers[timerId];
+  if (!timer) return;
+
+  const source = copy || timer;
+  await updateTimer(timerId, { rule: source.rule, settings: source.settings });
+
+  const result = await readStorage("local", [SYNC_CONFLICTS_KEY]);
+  const conflicts = result[SYNC_CONFLICTS_KEY] || {};
+  if (conflicts.timers && conflicts.timers[timerId]) {
+    delete conflicts.timers[timerId];
+    await writeStorage("local", { [SYNC_CONFLICTS_KEY]: conflicts });
+  }
+};
+
+// ============================================================
+// УТИЛИТЫ
+// ============================================================
+
+/**
+ * Извлечь домен из URL
+ * @param {string} url - URL для обработки
+ * @returns {string|null} - Домен или null
+ */
+export const getDomainFromUrl = (url) => {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.hostname;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Нормализация URL для сравнения в правилах "url"
+ * @param {string} url - Исходный URL
+ * @param {object} [options] - Опции нормализации из rule.normalize:
+ *   ignoreFragment, ignoreQuery, ignoreParams (имена параметров, "utm_*" -
+ *   по префиксу), caseInsensitivePath, ignoreTrailingSlash
+ * @returns {string} - Нормализованный URL (или исходная строка, если это не URL)
+ */
+export const normalizeUrl = (url, options = {}) => {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return url;
+  }
+
+  if (options.ignoreFragment) {
+    urlObj.hash = "";
+  }
+
+  if (options.ignoreQuery) {
+    urlObj.search = "";
+  } else if (options.ignoreParams && options.ignoreParams.length > 0) {
+    const isIgnored = (name) =>
+      options.ignoreParams.some((param) =>
+        param.endsWith("*")
+          ? name.startsWith(param.slice(0, -1))
+          : name === param
+      );
+    for (const name of [...urlObj.searchParams.keys()]) {
+      if (isIgnored(name)) {
+        urlObj.searchParams.delete(name);
+      }
+    }
+  }
+
+  if (options.caseInsensitivePath) {
+    urlObj.pathname = urlObj.pathname.toLowerCase();
+  }
+
+  if (options.ignoreTrailingSlash) {
+    urlObj.pathname = urlObj.pathname.replace(/\/+$/, "") || "/";
+  }
+
+  return urlObj.toString();
+};
+
+/**
+ * Форматирование времени для отображения
+ * @param {number} totalSeconds - Общее количество секунд
+ * @returns {string} - Отформатированная строка времени
+ */
+export const formatTime = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  const parts = [];
+  if (hours > 0) parts.push(`${hours}h`);
+  if (minutes > 0) parts.push(`${minutes}m`);
+  if (seconds > 0 || parts.length === 0) parts.push(`${seconds}s`);
+
+  return parts.join(" ");
+};
+
+/**
+ * Человекочитаемое описание сработавшего правила наблюдения
+ * @param {object} rule - Правило из settings.watch.rules
+ * @returns {string} - Например: "In stock" appeared
+ */
+export const describeWatchRule = (rule) => {
+  const pattern = rule.isRegex ? `/${rule.pattern}/` : `"${rule.pattern}"`;
+  const verb = rule.condition === "disappears" ? "disappeared" : "appeared";
+  return `${pattern} ${verb}`;
+};
+
+/**
+ * Генерация UUID v4
+ * @returns {string} - UUID строка
+ */
+export const generateUUID = () => {
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    const v = c === "x" ? r : (r & 0x3) | 0x8;
+    return v.toString(16);
+  });
+};
+
+// ============================================================
+// ПРАВИЛА СОПОСТАВЛЕНИЯ URL
+// ============================================================
+
+/**
+ * Базовая специфичность типов правил: чем больше, тем точнее правило.
+ * Для шаблонов к базе добавляется число буквальных символов (до 999),
+ * поэтому более длинный префикс/шаблон побеждает более короткий.
+ */
+const RULE_SPECIFICITY = {
+  tab: 5000,
+  url: 4000,
+  prefix: 3000,
+  glob: 3000,
+  regex: 3000,
+  domain: 2000,
+  subdomain: 1000,
+};
+const MAX_LITERAL_BONUS = 999;
+
+// Кэш скомпилированных шаблонов (badge пересчитывается каждую секунду)
+const compiledPatterns = new Map();
+
+/**
+ * Экранировать спецсимволы регулярных выражений
+ * @param {string} text - Исходный текст
+ * @returns {string}
+ */
+export const escapeRegExp = (text) =>
+  text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Преобразовать glob-шаблон в регулярное выражение
+ * (* - любые символы, ? - ровно один символ, шаблон покрывает весь URL)
+ * @param {string} pattern - Glob-шаблон
+ * @returns {RegExp}
+ */
+export const globToRegExp = (pattern) => {
+  const source = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return escapeRegExp(char);
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Скомпилировать шаблон правила (glob/regex) с кэшированием
+ * @returns {RegExp|null} - null для некорректного регулярного выражения
+ */
+const compileRulePattern = (rule) => {
+  const key = `${rule.type}:${rule.value}`;
+  if (compiledPatterns.has(key)) {
+    return compiledPatterns.get(key);
+  }
+
+  let compiled = null;
+  try {
+    compiled =
+      rule.type === "glob" ? globToRegExp(rule.value) : new RegExp(rule.value);
+  } catch (e) {
+    compiled = null;
+  }
+
+  compiledPatterns.set(key, compiled);
+  return compiled;
+};
+
+/**
+ * Проверить корректность правила (непустое значение, валидный regex)
+ * @param {object} rule - Правило {type, value}
+ * @returns {boolean}
+ */
+export const isValidRule = (rule) => {
+  if (!rule || !rule.value || RULE_SPECIFICITY[rule.type] === undefined) {
+    return false;
+  }
+  if (rule.type === "regex" || rule.type === "glob") {
+    return compileRulePattern(rule) !== null;
+  }
+  if (rule.type === "tab") {
+    // Значение - стартовый URL вкладки
+    return /^https?:/i.test(rule.value);
+  }
+  return true;
+};
+
+/**
+ * Проверить, подходит ли URL под правило
+ * @param {object} rule - Правило {type, value, normalize?}
+ * @param {string} url - Проверяемый URL
+ * @returns {number|null} - Специфичность совпадения или null, если не подходит
+ */
+export const matchRule = (rule, url) => {
+  const base = RULE_SPECIFICITY[rule.type];
+  if (base === undefined || !rule.value || !url) return null;
+
+  const literalBonus = (literal) =>
+    base + Math.min(MAX_LITERAL_BONUS, literal.length);
+
+  switch (rule.type) {
+    case "url":
+      if (rule.normalize) {
+        return normalizeUrl(rule.value, rule.normalize) ===
+          normalizeUrl(url, rule.normalize)
+          ? base
+          : null;
+      }
+      return rule.value === url ? base : null;
+
+    case "domain":
+      return rule.value === getDomainFromUrl(url) ? base : null;
+
+    case "subdomain": {
+      // *.example.com подходит для example.com и любых его поддоменов
+      const domain = getDomainFromUrl(url);
+      const baseDomain = rule.value.replace(/^\*\./, "");
+      if (
+        !domain ||
+        (domain !== baseDomain && !domain.endsWith(`.${baseDomain}`))
+      ) {
+        return null;
+      }
+      return literalBonus(baseDomain);
+    }
+
+    case "prefix":
+      return url.startsWith(rule.value) ? literalBonus(rule.value) : null;
+
+    case "glob":
+    case "regex": {
+      const pattern = compileRulePattern(rule);
+      if (!pattern || !pattern.test(url)) return null;
+      const literal =
+        rule.type === "glob"
+          ? rule.value.replace(/[*?]/g, "")
+          : rule.value.replace(/[.*+?^${}()|[\]\\]/g, "");
+      return literalBonus(literal);
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Доменные правила (действуют на весь сайт, а не на конкретные страницы)
+const isDomainLevelRule = (rule) =>
+  rule.type === "domain" || rule.type === "subdomain";
+
+/**
+ * Политики разрешения конфликтов между таймерами, подходящими под один URL.
+ * Компаратор возвращает отрицательное число, если таймер a должен победить.
+ */
+const CONFLICT_POLICIES = {
+  // Самое специфичное правило
+  specific: (a, b) => b.specificity - a.specificity,
+  // Доменное правило важнее правил для отдельных страниц
+  domain: (a, b) =>
+    isDomainLevelRule(b.timer.rule) - isDomainLevelRule(a.timer.rule),
+  // Самый новый таймер
+  newest: (a, b) => b.timer.createdAt - a.timer.createdAt,
+  // Самый короткий интервал
+  shortest: (a, b) =>
+    (a.timer.settings.intervalSeconds || 60) -
+    (b.timer.settings.intervalSeconds || 60),
+};
+
+/**
+ * Проверить, подходит ли таймер для вкладки. Правило "tab" привязано к самой
+ * вкладке и подходит для любого её URL, остальные проверяются по URL
+ * @param {object} timer - Таймер
+ * @param {string} url - URL вкладки
+ * @param {number|null} tabId - ID вкладки (null - только правила по URL)
+ * @returns {number|null} - Специфичность совпадения или null, если не подходит
+ */
+export const matchTimer = (timer, url, tabId = null) => {
+  if (timer.rule.type === "tab") {
+    return tabId && timer.tabId === tabId ? RULE_SPECIFICITY.tab : null;
+  }
+  return matchRule(timer.rule, url);
+};
+
+/**
+ * Определяет единственный активный таймер для заданного URL, разрешая конфликты.
+ * Сначала сравнивается явный приоритет таймера (settings.priority), затем
+ * глобальная политика, затем специфичность правила и время создания.
+ * @param {object} allTimers - Объект всех таймеров из storage
+ * @param {string} currentUrl - Текущий URL страницы
+ * @param {string} [policy] - Политика: "specific" | "domain" | "newest" | "shortest"
+ * @param {number|null} [tabId] - ID вкладки для правил, привязанных к вкладке
+ * @returns {object|null} - Объект активного таймера или null
+ */
+export const findActiveTimerForUrl = (
+  allTimers,
+  currentUrl,
+  policy = DEFAULT_GLOBAL_SETTINGS.conflictPolicy,
+  tabId = null
+) => {
+  const matches = [];
+
+  for (const timerId in allTimers) {
+    const timer = allTimers[timerId];
+    const specificity = matchTimer(timer, currentUrl, tabId);
+
+    if (specificity !== null) {
+      matches.push({ timer, specificity });
+    }
+  }
+
+  if (matches.length === 0) return null;
+  if (matches.length === 1) return matches[0].timer;
+
+  // Разрешение конфликта
+  const comparePolicy = CONFLICT_POLICIES[policy] || CONFLICT_POLICIES.specific;
+
+  matches.sort(
+    (a, b) =>
+      (b.timer.settings.priority || 0) - (a.timer.settings.priority || 0) ||
+      comparePolicy(a, b) ||
+      b.specificity - a.specificity ||
+      b.timer.createdAt - a.timer.createdAt
+  );
+  return matches[0].timer;
+};
+
+/**
+ * Человекочитаемое описание правила
+ * @param {object} rule - Правило {type, value}
+ * @returns {string} - Например: "Domain example.com"
+ */
+export const describeRule = (rule) => {
+  switch (rule.type) {
+    case "tab":
+      return `Tab started at ${rule.value}`;
+    case "url":
+      return `Page ${rule.value}`;
+    case "domain":
+      return `Domain ${rule.value}`;
+    case "subdomain":
+      return `Subdomains ${rule.value}`;
+    case "prefix":
+      return `Prefix ${rule.value}`;
+    case "glob":
+      return `Pattern ${rule.value}`;
+    case "regex":
+      return `Regex /${rule.value}/`;
+    default:
+      return rule.value;
+  }
+};
+
+// ============================================================
+// РАСПИСАНИЕ: ИНТЕРВАЛЫ, ВЫРАВНИВАНИЕ ПО ЧАСАМ, CRON
+// ============================================================
+
+const CRON_SEARCH_LIMIT_MS = 5 * 366 * 24 * 3600 * 1000; // 29 февраля бывает раз в 4 года
+const SCHEDULE_MIN_GAP_MS = 2000; // Защита от повторного срабатывания на той же границе
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  {
+    name: "month",
+    min: 1,
+    max: 12,
+    names: [
+      "JAN",
+      "FEB",
+      "MAR",
+      "APR",
+      "MAY",
+      "JUN",
+      "JUL",
+      "AUG",
+      "SEP",
+      "OCT",
+      "NOV",
+      "DEC",
+    ],
+  },
+  {
+    name: "day of week",
+    min: 0,
+    max: 7,
+    names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"],
+  },
+];
+
+const CRON_MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+/**
+ * Разобрать одно значение поля cron (число или имя месяца/дня недели)
+ */
+const parseCronValue = (value, field) => {
+  if (field.names) {
+    const index = field.names.indexOf(value.toUpperCase());
+    if (index !== -1) return index + field.min;
+  }
+
+  const number = /^\d+$/.test(value) ? parseInt(value) : NaN;
+  if (Number.isNaN(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name}: ${value}`);
+  }
+  return number;
+};
+
+/**
+ * Разобрать поле cron: звёздочка, числа, диапазоны a-b, шаги /n и списки через запятую
+ * @returns {Set<number>} - Допустимые значения поля
+ */
+const parseCronField = (text, field) => {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : parseInt(stepText);
+
+    if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+      throw new Error(`Invalid step in ${field.name}: ${part}`);
+    }
+
+    let from;
+    let to;
+    if (range === "*") {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes("-")) {
+      const [fromText, toText] = range.split("-");
+      from = parseCronValue(fromText, field);
+      to = parseCronValue(toText, field);
+      if (from > to) {
+        throw new Error(`Invalid range in ${field.name}: ${range}`);
+      }
+    } else {
+      from = parseCronValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Разобрать cron-выражение из 5 полей (минута час день месяц день_недели)
+ * @param {string} expression - Например: "0 9-17 * * 1-5" или "@daily"
+ * @returns {object} - Разобранное выражение
+ * @throws {Error} - Если выражение некорректно
+ */
+export const parseCronExpression = (expression) => {
+  const trimmed = (expression || "").trim();
+  const normalized = CRON_MACROS[trimmed.toLowerCase()] || trimmed;
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error("Cron expression must have 5 fields");
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map(
+    (part, index) => parseCronField(part, CRON_FIELDS[index])
+  );
+
+  // 7 - тоже воскресенье
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Как в vixie cron: поле, начинающееся с *, не ограничивает день
+    isDayOfMonthAny: parts[2].startsWith("*"),
+    isDayOfWeekAny: parts[4].startsWith("*"),
+  };
+};
+
+/**
+ * Проверить корректность cron-выражения
+ * @param {string} expression - Cron-выражение
+ * @returns {string|null} - Текст ошибки или null, если выражение корректно
+ */
+export const validateCronExpression = (expression) => {
+  try {
+    parseCronExpression(expression);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+};
+
+// Если ограничены и день месяца, и день недели - достаточно любого из них
+const matchesCronDay = (cron, date) => {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+
+  if (cron.isDayOfMonthAny && cron.isDayOfWeekAny) return true;
+  if (cron.isDayOfMonthAny) return dayOfWeek;
+  if (cron.isDayOfWeekAny) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Найти ближайший момент срабатывания cron-выражения после указанного
+ * @param {string} expression - Cron-выражение
+ * @param {Date} from - Момент, от которого ищем
+ * @returns {Date|null} - Момент срабатывания или null, если его нет
+ */
+export const getNextCronTime = (expression, from = new Date()) => {
+  const cron = parseCronExpression(expression);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + CRON_SEARCH_LIMIT_MS;
+
+  // Перескакиваем целыми месяцами/днями/часами, пока не совпадут все поля
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesCronDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+};
+
+/**
+ * Ближайшая граница интервала, выровненного по часам
+ * (границы отсчитываются от локальной полуночи плюс смещение:
+ * каждые 5 минут - :00, :05, …; каждые 24 часа со смещением 09:00 - ежедневно в 09:00)
+ * @param {number} intervalSeconds - Шаг границ
+ * @param {number} offsetSeconds - Смещение от полуночи
+ * @param {Date} from - Момент, от которого ищем
+ * @returns {Date}
+ */
+export const getNextAlignedTime = (
+  intervalSeconds,
+  offsetSeconds = 0,
+  from = new Date()
+) => {
+  const stepMs = Math.max(1, intervalSeconds) * 1000;
+  const midnight = new Date(from);
+  midnight.setHours(0, 0, 0, 0);
+
+  const base = midnight.getTime() + offsetSeconds * 1000;
+  const steps = Math.floor((from.getTime() - base) / stepMs) + 1;
+  return new Date(base + steps * stepMs);
+};
+
+/**
+ * Ближайший момент перезагрузки по расписанию (без учёта случайности)
+ * @param {object} settings - Настройки таймера
+ * @param {Date} from - Момент, от которого ищем
+ * @returns {Date|null}
+ */
+export const getNextScheduledTime = (settings, from = new Date()) => {
+  const schedule = settings.schedule || { type: "interval" };
+  const intervalSeconds = settings.intervalSeconds || 60;
+
+  if (schedule.type === "cron") {
+    return getNextCronTime(schedule.cron, from);
+  }
+  if (schedule.type === "aligned") {
+    return getNextAlignedTime(
+      intervalSeconds,
+      schedule.offsetSeconds || 0,
+      from
+    );
+  }
+  return new Date(from.getTime() + intervalSeconds * 1000);
+};
+
+/**
+ * Несколько ближайших моментов перезагрузки (для предпросмотра расписания)
+ * @param {object} settings - Настройки таймера
+ * @param {number} count - Количество моментов
+ * @param {Date} from - Момент, от которого ищем
+ * @returns {Array<Date>}
+ */
+export const getUpcomingReloadTimes = (settings, count, from = new Date()) => {
+  const times = [];
+  let next = from;
+
+  while (times.length < count) {
+    next = getNextScheduledTime(settings, next);
+    if (!next) break;
+    times.push(next);
+  }
+
+  return times;
+};
+
+/**
+ * Генерирует случайное число с нормальным распределением (bell curve)
+ * Использует Box-Muller transform
+ * @param {number} mean - Среднее значение (μ)
+ * @param {number} stdDev - Стандартное отклонение (σ)
+ * @returns {number} Случайное число
+ */
+const generateNormalRandom = (mean, stdDev) => {
+  const u1 = Math.random();
+  const u2 = Math.random();
+  const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  return z0 * stdDev + mean;
+};
+
+/**
+ * Вычисляет следующий интервал (в секундах) с учетом расписания и случайности
+ * @param {object} settings - Настройки таймера
+ * @param {Date} now - Текущий момент
+ * @returns {number} - Секунды до следующей перезагрузки
+ */
+export const calculateNextInterval = (settings, now = new Date()) => {
+  const schedule = settings.schedule || { type: "interval" };
+
+  // Cron и выровненные интервалы срабатывают в точные моменты времени
+  if (schedule.type === "cron" || schedule.type === "aligned") {
+    const from = new Date(now.getTime() + SCHEDULE_MIN_GAP_MS);
+    const next = getNextScheduledTime(settings, from);
+    if (next) {
+      return Math.max(1, Math.ceil((next.getTime() - now.getTime()) / 1000));
+    }
+  }
+
+  const baseInterval = settings.intervalSeconds || 60;
+
+  // Если случайность отключена, возвращаем базовый интервал
+  if (!settings.randomness || !settings.randomness.enabled) {
+    return baseInterval;
+  }
+
+  const variationPercent = settings.randomness.variationPercent || 0;
+  const variation = baseInterval * (variationPercent / 100);
+
+  let randomInterval;
+
+  if (settings.randomness.useNormalDistribution) {
+    // Нормальное распределение (bell curve)
+    const sigma = variation / 2;
+    randomInterval = generateNormalRandom(baseInterval, sigma);
+  } else {
+    // Равномерное распределение
+    const minInterval = baseInterval - variation;
+    const maxInterval = baseInterval + variation;
+    randomInterval = minInterval + Math.random() * (maxInterval - minInterval);
+  }
+
+  // Ограничиваем диапазон (минимум 1 секунда, максимум 200% от базового)
+  return Math.max(1, Math.min(baseInterval * 2, Math.round(randomInterval)));
+};
+
+// ============================================================
+// АКТИВНЫЕ ЧАСЫ (окна расписания)
+// ============================================================
+
+const ACTIVE_HOURS_LOOKAHEAD_DAYS = 8; // Неделя + запас на окна через полночь
+
+/**
+ * Преобразовать время "HH:MM" в минуты от полуночи
+ * @param {string} value - Время в формате "HH:MM"
+ * @returns {number}
+ */
+export const parseTimeOfDay = (value) => {
+  const [hours, minutes] = value.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Проверить, попадает ли момент в одно из окон активности (локальное время).
+ * Окно с концом раньше начала (22:00–02:00) продолжается после полуночи,
+ * окно с одинаковыми началом и концом длится сутки.
+ * @param {object} activeHours - settings.activeHours {enabled, windows}
+ * @param {Date} date - Проверяемый момент
+ * @returns {boolean} - true, если перезагрузка разрешена
+ */
+export const isWithinActiveHours = (activeHours, date = new Date()) => {
+  if (!activeHours || !activeHours.enabled || !activeHours.windows.length) {
+    return true;
+  }
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  const previousDay = (day + 6) % 7;
+
+  return activeHours.windows.some((window) => {
+    const start = parseTimeOfDay(window.start);
+    const end = parseTimeOfDay(window.end);
+
+    if (start < end) {
+      return window.days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    // Окно через полночь: начало сегодня или хвост окна вчерашнего дня
+    return (
+      (window.days.includes(day) && minutes >= start) ||
+      (window.days.includes(previousDay) && minutes < end)
+    );
+  });
+};
+
+/**
+ * Найти начало ближайшего окна активности после указанного момента
+ * @param {object} activeHours - settings.activeHours {enabled, windows}
+ * @param {Date} date - Момент, от которого ищем
+ * @returns {Date|null} - Начало окна или null, если окон нет
+ */
+export const getNextActiveWindowStart = (activeHours, date = new Date()) => {
+  if (!activeHours || !activeHours.windows.length) return null;
+
+  for (let offset = 0; offset <= ACTIVE_HOURS_LOOKAHEAD_DAYS; offset++) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    day.setDate(day.getDate() + offset);
+
+    const starts = activeHours.windows
+      .filter((window) => window.days.includes(day.getDay()))
+      .map((window) => parseTimeOfDay(window.start))
+      .sort((a, b) => a - b);
+
+    for (const start of starts) {
+      const candidate = new Date(day);
+      candidate.setHours(Math.floor(start / 60), start % 60, 0, 0);
+      if (candidate > date) return candidate;
+    }
+  }
+
+  return null;
+};
+
+// ============================================================
+// НЕСКОЛЬКО ВКЛАДОК
+// ============================================================
+
+/**
+ * Вкладки, которые обслуживает таймер: основная (timer.tabId) и дополнительные
+ * из state.tabs (для правил с settings.multiTab)
+ * @param {object} timer - Таймер
+ * @returns {Array<number>} - ID вкладок, основная первой
+ */
+export const getDrivenTabIds = (timer) => {
+  const tabIds = timer.tabId ? [timer.tabId] : [];
+  return tabIds.concat(Object.keys(timer.state?.tabs || {}).map(Number));
+};
+
+/**
+ * Состояние перезагрузки конкретной вкладки таймера
+ * @param {object} timer - Таймер
+ * @param {number} tabId - ID вкладки
+ * @returns {object|null} - state для основной вкладки, state.tabs[tabId]
+ *   для дополнительной, null если таймер вкладку не обслуживает
+ */
+export const getTabReloadState = (timer, tabId) => {
+  if (timer.tabId === tabId) return timer.state;
+  return timer.state?.tabs?.[tabId] || null;
+};
+
+// ============================================================
+// УСЛОВИЯ ОСТАНОВКИ
+// ============================================================
+
+/**
+ * Проверить, достигнуто ли одно из условий остановки таймера
+ * @param {object} timer - Таймер
+ * @param {number} now - Текущий момент (мс)
+ * @returns {string|null} - Описание достигнутого условия или null
+ */
+export const getReachedStopCondition = (timer, now = Date.now()) => {
+  const stop = timer.settings.stopConditions;
+  if (!stop || !stop.enabled) return null;
+
+  const reloadCount = timer.state.reloadCount || 0;
+  const startedAt = timer.state.startedAt || timer.createdAt;
+
+  if (stop.maxReloads && reloadCount >= stop.maxReloads) {
+    return `Reached ${stop.maxReloads} reloads`;
+  }
+  if (stop.endAt && now >= stop.endAt) {
+    return "Reached the end time";
+  }
+  if (
+    stop.maxDurationSeconds &&
+    now - startedAt >= stop.maxDurationSeconds * 1000
+  ) {
+    return `Ran for ${formatTime(stop.maxDurationSeconds)}`;
+  }
+
+  return null;
+};
+
+/**
+ * Момент, когда таймер должен остановиться по времени (конец или длительность)
+ * @param {object} timer - Таймер
+ * @returns {number|null} - Timestamp (мс) или null, если ограничения по времени нет
+ */
+export const getStopDeadline = (timer) => {
+  const stop = timer.settings.stopConditions;
+  if (!stop || !stop.enabled) return null;
+
+  const deadlines = [];
+  if (stop.endAt) {
+    deadlines.push(stop.endAt);
+  }
+  if (stop.maxDurationSeconds) {
+    const startedAt = timer.state.startedAt || timer.createdAt;
+    deadlines.push(startedAt + stop.maxDurationSeconds * 1000);
+  }
+
+  return deadlines.length > 0 ? Math.min(...deadlines) : null;
+};
+
+// ============================================================
+// ЗАПУСК И ПАУЗА ТАЙМЕРОВ
+// ============================================================
+
+/**
+ * Настройки таймера по умолчанию (запуск без side panel, например с клавиатуры)
+ */
+export const DEFAULT_TIMER_SETTINGS = {
+  intervalSeconds: 300,
+  schedule: { type: "interval", cron: "", offsetSeconds: 0 },
+  randomness: {
+    enabled: false,
+    variationPercent: 0,
+    useNormalDistribution: false,
+  },
+  contentCheck: { enabled: false, selector: "" },
+  watch: { enabled: false, rules: [], actions: {} },
+  activeHours: { enabled: false, windows: [] },
+  editGuard: { enabled: true, graceSeconds: 30, maxDeferralSeconds: 600 },
+  conditions: {},
+  stopConditions: { enabled: false },
+  priority: 0,
+  adoption: "auto",
+  returnToStartUrl: false,
+  multiTab: { enabled: false, maxTabs: 0, staggerSeconds: 5 },
+  sync: true,
+};
+
+/**
+ * Создать таймер для вкладки (ещё не сохранён и не запущен)
+ * @param {number} tabId - ID вкладки
+ * @param {object} rule - Правило {type, value}
+ * @param {object} settings - Настройки таймера
+ * @returns {object} - Новый таймер
+ */
+export const createTimer = (tabId, rule, settings) => {
+  const firstInterval = calculateNextInterval(settings);
+
+  return {
+    id: generateUUID(),
+    tabId,
+    createdAt: Date.now(),
+    rule,
+    settings,
+    state: {
+      nextReloadAt: Date.now() + firstInterval * 1000,
+      currentActualInterval: firstInterval,
+    },
+  };
+};
+
+/**
+ * Таймер в момент запуска: отсчёт (и условия остановки) начинается с момента
+ * фактического запуска, вне активных часов таймер сразу засыпает до начала
+ * ближайшего окна
+ * @param {object} timer - Таймер из createTimer
+ * @param {Date} now - Момент запуска
+ * @returns {object} - Таймер, готовый к сохранению и планированию
+ */
+export const getStartedTimer = (timer, now = new Date()) => {
+  const state = {
+    ...timer.state,
+    startedAt: now.getTime(),
+    reloadCount: 0,
+    nextReloadAt: now.getTime() + timer.state.currentActualInterval * 1000,
+  };
+
+  const activeHours = timer.settings.activeHours;
+  const resumeAt = isWithinActiveHours(activeHours, now)
+    ? null
+    : getNextActiveWindowStart(activeHours, now);
+  if (resumeAt) {
+    state.nextReloadAt = resumeAt.getTime();
+    state.currentActualInterval = Math.ceil(
+      (resumeAt.getTime() - now.getTime()) / 1000
+    );
+    state.sleepingUntil = resumeAt.getTime();
+  }
+
+  return { ...timer, createdAt: now.getTime(), state };
+};
+
+/**
+ * state приостановленного таймера: оставшееся время замораживается
+ * @param {object} timer - Таймер
+ * @param {number} now - Текущий момент (мс)
+ * @returns {object} - Новый state
+ */
+export const getPausedState = (timer, now = Date.now()) => ({
+  ...timer.state,
+  paused: true,
+  pausedAt: now,
+  remainingMs: Math.max(0, timer.state.nextReloadAt - now),
+  finishedReason: null,
+});
+
+/**
+ * state возобновлённого таймера: перезагрузка через замороженный остаток.
+ * Таймер, завершённый условием остановки, начинает отсчёт условий заново
+ * @param {object} timer - Таймер
+ * @param {number} now - Текущий момент (мс)
+ * @returns {object|null} - Новый state или null, если время остановки уже прошло
+ */
+export const getResumedState = (timer, now = Date.now()) => {
+  const state = { ...timer.state, paused: false, sleepingUntil: null };
+
+  if (timer.state.finishedReason) {
+    state.startedAt = now;
+    state.reloadCount = 0;
+    state.finishedReason = null;
+
+    if (getReachedStopCondition({ ...timer, state }, now)) {
+      return null;
+    }
+
+    state.currentActualInterval = calculateNextInterval(timer.settings);
+    state.remainingMs = state.currentActualInterval * 1000;
+  }
+
+  const remainingSeconds = Math.max(1, Math.ceil(state.remainingMs / 1000));
+  state.nextReloadAt = now + remainingSeconds * 1000;
+  state.pausedAt = null;
+  state.remainingMs = null;
+
+  return state;
+};
+
+/**
+ * Ключ правила для сравнения: URL-правила сравниваются после нормализации
+ * @param {object} rule - Правило {type, value, normalize?}
+ * @returns {string}
+ */
+const getRuleKey = (rule) =>
+  rule.type === "url" && rule.normalize
+    ? normalizeUrl(rule.value, rule.normalize)
+    : rule.value;
+
+/**
+ * Анализ конфликтов нового таймера с уже существующими
+ * @param {Object<string, object>} allTimers - Существующие таймеры
+ * @param {object} newTimer - Запускаемый таймер
+ * @param {string} currentUrl - URL вкладки, на которой запускается таймер
+ * @param {string} policy - Политика разрешения конфликтов
+ * @returns {{removed: Array<object>, shadowed: Array<object>, shadowedBy: object|null}}
+ *   removed - таймеры, которые будут удалены (то же правило или URL-таймеры
+ *   домена при запуске доменного), shadowed - таймеры, которые новый перекроет,
+ *   shadowedBy - таймер, который перекроет новый на текущей странице
+ */
+export const analyzeConflicts = (allTimers, newTimer, currentUrl, policy) => {
+  const currentDomain = getDomainFromUrl(currentUrl);
+  const removed = [];
+
+  for (const timer of Object.values(allTimers)) {
+    // Правила "tab" одинаковы, если привязаны к одной вкладке
+    const isSameRule =
+      timer.rule.type === newTimer.rule.type &&
+      (newTimer.rule.type === "tab"
+        ? timer.tabId === newTimer.tabId
+        : getRuleKey(timer.rule) === getRuleKey(newTimer.rule));
+    const isUrlOnDomain =
+      newTimer.rule.type === "domain" &&
+      timer.rule.type === "url" &&
+      getDomainFromUrl(timer.rule.value) === currentDomain;
+
+    if (isSameRule || isUrlOnDomain) {
+      removed.push(timer);
+    }
+  }
+
+  const remaining = {};
+  for (const timer of Object.values(allTimers)) {
+    if (!removed.includes(timer)) {
+      remaining[timer.id] = timer;
+    }
+  }
+  const withNew = { ...remaining, [newTimer.id]: newTimer };
+
+  // Проверяем, где каждый оставшийся таймер сейчас главный: на своём URL
+  // (для URL-правил) или на текущей странице
+  const shadowed = [];
+  for (const timer of Object.values(remaining)) {
+    const url =
+      timer.rule.type === "url"
+        ? timer.rule.value
+        : matchTimer(timer, currentUrl, newTimer.tabId) !== null
+        ? currentUrl
+        : null;
+    if (!url) continue;
+
+    // Правила "tab" действуют только на текущей вкладке
+    const tabId = url === currentUrl ? newTimer.tabId : null;
+    const winnerBefore = findActiveTimerForUrl(remaining, url, policy, tabId);
+    const winnerAfter = findActiveTimerForUrl(withNew, url, policy, tabId);
+
+    if (winnerBefore?.id === timer.id && winnerAfter?.id === newTimer.id) {
+      shadowed.push(timer);
+    }
+  }
+
+  const winner = findActiveTimerForUrl(
+    withNew,
+    currentUrl,
+    policy,
+    newTimer.tabId
+  );
+  const shadowedBy = winner && winner.id !== newTimer.id ? winner : null;
+
+  return { removed, shadowed, shadowedBy };
+};
+
+// ============================================================
+// DIFF СНИМКОВ СОДЕРЖИМОГО
+// ============================================================
+
+const DIFF_MAX_CELLS = 1000000; // Максимальный размер таблицы LCS
+const DIFF_CONTEXT_LINES = 2; // Сколько неизменных строк показывать вокруг изменений
+const DIFF_MAX_LINES = 200; // Максимум строк в сохраняемом diff
+
+/**
+ * Схлопнуть длинные неизменные участки diff, оставив контекст вокруг изменений
+ * @param {Array<object>} lines - Полный построчный diff
+ * @returns {Array<object>} - Сокращённый diff
+ */
+const collapseDiffContext = (lines) => {
+  const keep = lines.map(() => false);
+
+  lines.forEach((line, index) => {
+    if (line.type === "equal") return;
+    const from = Math.max(0, index - DIFF_CONTEXT_LINES);
+    const to = Math.min(lines.length - 1, index + DIFF_CONTEXT_LINES);
+    for (let i = from; i <= to; i++) {
+      keep[i] = true;
+    }
+  });
+
+  const result = [];
+  let skipped = 0;
+
+  lines.forEach((line, index) => {
+    if (keep[index]) {
+      if (skipped > 0) {
+        result.push({ type: "skip", count: skipped });
+        skipped = 0;
+      }
+      result.push(line);
+    } else {
+      skipped++;
+    }
+  });
+
+  if (skipped > 0) {
+    result.push({ type: "skip", count: skipped });
+  }
+
+  if (result.length > DIFF_MAX_LINES) {
+    const rest = result.length - DIFF_MAX_LINES;
+    return [...result.slice(0, DIFF_MAX_LINES), { type: "skip", count: rest }];
+  }
+
+  return result;
+};
+
+/**
+ * Построчное сравнение двух текстовых снимков
+ * @param {string} oldText - Предыдущий снимок
+ * @param {string} newText - Новый снимок
+ * @returns {Array<object>} - Строки diff вида {type, text}, где type:
+ *   "equal" | "insert" | "delete", либо {type: "skip", count} для пропуска
+ */
+export const diffText = (oldText, newText) => {
+  const oldLines = oldText ? oldText.split("\n") : [];
+  const newLines = newText ? newText.split("\n") : [];
+
+  // 1. Отсекаем общий префикс и суффикс
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (
+    oldEnd > start &&
+    newEnd > start &&
+    oldLines[oldEnd - 1] === newLines[newEnd - 1]
+  ) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+  const middle = [];
+
+  if (oldMiddle.length * newMiddle.length > DIFF_MAX_CELLS) {
+    // 2a. Слишком большое изменение - показываем одним блоком
+    oldMiddle.forEach((text) => middle.push({ type: "delete", text }));
+    newMiddle.forEach((text) => middle.push({ type: "insert", text }));
+  } else {
+    // 2b. Наибольшая общая подпоследовательность для изменённого участка
+    const n = oldMiddle.length;
+    const m = newMiddle.length;
+    const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i][j] =
+          oldMiddle[i] === newMiddle[j]
+            ? table[i + 1][j + 1] + 1
+            : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (oldMiddle[i] === newMiddle[j]) {
+        middle.push({ type: "equal", text: oldMiddle[i] });
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        middle.push({ type: "delete", text: oldMiddle[i++] });
+      } else {
+        middle.push({ type: "insert", text: newMiddle[j++] });
+      }
+    }
+    while (i < n) middle.push({ type: "delete", text: oldMiddle[i++] });
+    while (j < m) middle.push({ type: "insert", text: newMiddle[j++] });
+  }
+
+  // 3. Собираем полный diff и оставляем только контекст вокруг изменений
+  const lines = [
+    ...oldLines.slice(0, start).map((text) => ({ type: "equal", text })),
+    ...middle,
+    ...oldLines.slice(oldEnd).map((text) => ({ type: "equal", text })),
+  ];
+
+  return collapseDiffContext(lines);
+};
+
+/**
+ * Storage утилиты для работы с таймерами
+ */
+
+const TIMERS_KEY = "timers";
+
+/**
+ * Получить все таймеры из storage
+ * @returns {Promise<object>} - Объект с таймерами
+ */
+export const getTimers = () => {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([TIMERS_KEY], (result) => {
+      resolve(result[TIMERS_KEY] || {});
+    });
+  });
+};
+
+/**
+ * Сохранить все таймеры в storage
+ * @param {object} timers - Объект с таймерами
+ * @param {boolean} syncChanged - Изменилось то, что уходит в облако
+ * (правило, настройки, состав таймеров); одно лишь состояние
+ * перезагрузок синхронизацию не запускает
+ * @returns {Promise<void>}
+ */
+export const setTimers = (timers, syncChanged = true) => {
+  return new Promise((resolve) => {
+    const onSaved = () => {
+      if (syncChanged) {
+        scheduleSyncToCloud();
+      }
+      resolve();
+    };
+
+    if (Object.keys(timers).length === 0) {
+      chrome.storage.local.remove(TIMERS_KEY, onSaved);
+      return;
+    }
+    chrome.storage.local.set({ [TIMERS_KEY]: timers }, onSaved);
+  });
+};
+
+/**
+ * Добавить новый таймер
+ * @param {object} timer - Объект таймера
+ * @returns {Promise<void>}
+ */
+export const addTimer = async (timer) => {
+  const timers = await getTimers();
+  timer.updatedAt = Date.now(); // Добавляем timestamp
+  timers[timer.id] = timer;
+  await setTimers(timers, isTimerSynced(timer));
+};
+
+/**
+ * Удалить таймер по ID
+ * @param {string} timerId - ID таймера
+ * @returns {Promise<void>}
+ */
+export const removeTimer = async (timerId) => {
+  const timers = await getTimers();
+  // Таймер только для этого устройства в SYNC не попадал
+  const synced = Boolean(timers[timerId]) && isTimerSynced(timers[timerId]);
+  if (synced) {
+    await addTombstone(TIMERS_KEY, timerId);
+  }
+  delete timers[timerId];
+  await setTimers(timers, synced);
+};
+
+// Поля таймера, которые есть только на этом устройстве
+const LOCAL_ONLY_TIMER_KEYS = ["tabId", "state"];
+
+/**
+ * Обновить таймер
+ * @param {string} timerId - ID таймера
+ * @param {object} updates - Объект с обновлениями
+ * @returns {Promise<void>}
+ */
+export const updateTimer = async (timerId, updates) => {
+  const timers = await getTimers();
+  if (timers[timerId]) {
+    // Для обновления state и tabId НЕ меняем updatedAt (они не синхронизируются)
+    const isLocalOnlyUpdate = Object.keys(updates).every((key) =>
+      LOCAL_ONLY_TIMER_KEYS.includes(key)
+    );
+
+    if (!isLocalOnlyUpdate) {
+      updates.updatedAt = Date.now(); // Только для настроек
+    }
+
+    const previous = timers[timerId];
+    timers[timerId] = { ...previous, ...updates };
+    // Таймер, который был и остался только локальным, облака не касается
+    await setTimers(
+      timers,
+      !isLocalOnlyUpdate &&
+        (isTimerSynced(previous) || isTimerSynced(timers[timerId]))
+    );
+  }
+};
+
+// ============================================================
+// ГЛОБАЛЬНЫЕ НАСТРОЙКИ
+// ============================================================
+
+export const GLOBAL_SETTINGS_KEY = "globalSettings";
+
+export const DEFAULT_GLOBAL_SETTINGS = {
+  conflictPolicy: "specific",
+  syncNewTimers: true, // Новые таймеры по умолчанию синхронизируются
+};
+
+/**
+ * Получить глобальные настройки (с подстановкой значений по умолчанию)
+ * @returns {Promise<object>}
+ */
+export const getGlobalSettings = () => {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([GLOBAL_SETTINGS_KEY], (result) => {
+      resolve({ ...DEFAULT_GLOBAL_SETTINGS, ...result[GLOBAL_SETTINGS_KEY] });
+    });
+  });
+};
+
+/**
+ * Обновить глобальные настройки
+ * @param {object} updates - Объект с обновлениями
+ * @returns {Promise<object>} - Новые настройки
+ */
+export const updateGlobalSettings = async (updates) => {
+  const settings = { ...(await getGlobalSettings()), ...updates };
+  await new Promise((resolve) => {
+    chrome.storage.local.set({ [GLOBAL_SETTINGS_KEY]: settings }, resolve);
+  });
+  return settings;
+};
+
+// Настройки последнего запущенного таймера (для запуска с клавиатуры)
+const LAST_TIMER_TEMPLATE_KEY = "lastTimerTemplate";
+
+/**
+ * Получить правило и настройки последнего запущенного таймера
+ * @returns {Promise<{rule: object, settings: object}|null>}
+ */
+export const getLastTimerTemplate = () => {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([LAST_TIMER_TEMPLATE_KEY], (result) => {
+      resolve(result[LAST_TIMER_TEMPLATE_KEY] || null);
+    });
+  });
+};
+
+/**
+ * Запомнить правило и настройки запущенного таймера
+ * @param {object} timer - Таймер
+ * @returns {Promise<void>}
+ */
+export const saveLastTimerTemplate = (timer) => {
+  return new Promise((resolve) => {
+    chrome.storage.local.set(
+      {
+        [LAST_TIMER_TEMPLATE_KEY]: {
+          rule: timer.rule,
+          settings: timer.settings,
+        },
+      },
+      resolve
+    );
+  });
+};
+
+// ============================================================
+// ПРЕСЕТЫ ИНТЕРВАЛОВ
+// ============================================================
+
+const PRESETS_KEY = "presets";
+
+/**
+ * Получить именованные пресеты интервала
+ * @returns {Promise<object>} - Объект {id: {id, name, intervalSeconds, randomness, createdAt, updatedAt}}
+ */
+export const getPresets = () => {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([PRESETS_KEY], (result) => {
+      resolve(result[PRESETS_KEY] || {});
+    });
+  });
+};
+
+/**
+ * Сохранить все пресеты и запланировать синхронизацию
+ * @param {object} presets - Объект с пресетами
+ * @returns {Promise<void>}
+ */
+const setPresets = (presets) => {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [PRESETS_KEY]: presets }, () => {
+      scheduleSyncToCloud();
+      resolve();
+    });
+  });
+};
+
+/**
+ * Добавить или обновить пресет
+ * @param {object} preset - Пресет ({name, intervalSeconds, randomness}, id - для обновления)
+ * @returns {Promise<object>} - Сохранённый пресет
+ */
+export const savePreset = async (preset) => {
+  const presets = await getPresets();
+  const now = Date.now();
+  const id = preset.id || generateUUID();
+  presets[id] = {
+    ...presets[id],
+    ...preset,
+    id,
+    createdAt: (presets[id] && presets[id].createdAt) || now,
+    updatedAt: now,
+  };
+  await setPresets(presets);
+  return presets[id];
+};
+
+/**
+ * Удалить пресет по ID
+ * @param {string} presetId - ID пресета
+ * @returns {Promise<void>}
+ */
+export const removePreset = async (presetId) => {
+  const presets = await getPresets();
+  if (presets[presetId]) {
+    await addTombstone(PRESETS_KEY, presetId);
+  }
+  delete presets[presetId];
+  await setPresets(presets);
+};
+
+// ============================================================
+// ИМПОРТ И ЭКСПОРТ ТАЙМЕРОВ
+// ============================================================
+
+const EXPORT_FORMAT = "page-auto-reloader-timers";
+const EXPORT_VERSION = 1;
+
+/**
+ * Можно ли перенести таймер в файл: правило "tab" привязано к вкладке
+ * этого браузера, импорт его не примет
+ * @param {object} timer - Таймер
+ * @returns {boolean}
+ */
+export const isTimerExportable = (timer) => timer.rule.type !== "tab";
+
+/**
+ * Собрать файл экспорта: правило и настройки без tabId и state.
+ * Таймеры с правилом "tab" пропускаются
+ * @param {Array<object>} timers - Экспортируемые таймеры
+ * @returns {object} - Содержимое JSON-файла
+ */
+export const exportTimers = (timers) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  timers: timers.filter(isTimerExportable).map((timer) => ({
+    rule: timer.rule,
+    settings: timer.settings,
+    createdAt: timer.createdAt,
+  })),
+});
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const isOptionalNumber = (value) =>
+  value === null ||
+  value === undefined ||
+  (Number.isFinite(value) && value >= 0);
+
+const isTimeOfDay = (value) =>
+  typeof value === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+const isValidPattern = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Проверить одно правило наблюдения из файла импорта
+ * @returns {string|null} - Текст ошибки или null
+ */
+const validateImportedWatchRule = (rule, enabled) => {
+  if (!isPlainObject(rule) || typeof rule.id !== "string") {
+    return "watch rule without an id";
+  }
+  if (typeof rule.pattern !== "string" || !rule.pattern.trim()) {
+    return "watch rule without a pattern";
+  }
+  if (rule.condition !== "appears" && rule.condition !== "disappears") {
+    return `unknown watch condition "${rule.condition}"`;
+  }
+  // Выключенное наблюдение не выполняется - как и side panel, не проверяем
+  if (enabled && rule.isRegex && !isValidPattern(rule.pattern)) {
+    return `invalid watch pattern /${rule.pattern}/`;
+  }
+  return null;
+};
+
+/**
+ * Проверить одно окно активных часов из файла импорта
+ * @returns {string|null} - Текст ошибки или null
+ */
+const validateImportedActiveWindow = (activeWindow, enabled) => {
+  if (
+    !isPlainObject(activeWindow) ||
+    !isTimeOfDay(activeWindow.start) ||
+    !isTimeOfDay(activeWindow.end)
+  ) {
+    return "active hours window needs a start and end time (HH:MM)";
+  }
+  if (
+    !Array.isArray(activeWindow.days) ||
+    !activeWindow.days.every(
+      (day) => Number.isInteger(day) && day >= 0 && day <= 6
+    )
+  ) {
+    return "active hours days must be numbers from 0 to 6";
+  }
+  if (enabled && activeWindow.days.length === 0) {
+    return "each active hours window needs at least one day";
+  }
+  return null;
+};
+
+// Флаги нормализации URL (rule.normalize) и условий перезагрузки
+// (settings.conditions) - все булевы
+const NORMALIZE_FLAGS = [
+  "ignoreFragment",
+  "ignoreQuery",
+  "caseInsensitivePath",
+  "ignoreTrailingSlash",
+];
+const CONDITION_FLAGS = [
+  "onlyWhenIdle",
+  "onlyInBackground",
+  "skipFocusedTab",
+  "reloadOnReturn",
+];
+
+/**
+ * Найти в объекте неизвестный ключ или небулево значение флага
+ * @param {object} value - Проверяемый объект
+ * @param {Array<string>} flags - Допустимые булевы ключи
+ * @param {Array<string>} otherKeys - Допустимые ключи, проверяемые отдельно
+ * @returns {string|null} - Имя неверного ключа или null
+ */
+const findInvalidFlag = (value, flags, otherKeys = []) =>
+  Object.keys(value).find(
+    (key) =>
+      !otherKeys.includes(key) &&
+      !(flags.includes(key) && typeof value[key] === "boolean")
+  ) || null;
+
+/**
+ * Проверить нормализацию URL правила из файла импорта: normalizeUrl
+ * вызывается при каждом поиске таймера и не должен падать
+ * @returns {string|null} - Текст ошибки или null
+ */
+const validateImportedNormalize = (normalize) => {
+  if (normalize === undefined || normalize === null) return null;
+  if (!isPlainObject(normalize)) {
+    return "URL normalization must be an object";
+  }
+
+  const invalidKey = findInvalidFlag(normalize, NORMALIZE_FLAGS, [
+    "ignoreParams",
+  ]);
+  if (invalidKey) {
+    return `invalid URL normalization option "${invalidKey}"`;
+  }
+  if (
+    normalize.ignoreParams !== undefined &&
+    !(
+      Array.isArray(normalize.ignoreParams) &&
+      normalize.ignoreParams.every((param) => typeof param === "string")
+    )
+  ) {
+    return "ignored URL parameters must be a list of names";
+  }
+  return null;
+};
+
+// Проверки вложенных блоков настроек из файла импорта - то же, что side panel
+// проверяет при запуске. Блок без значения заменяется значением по умолчанию
+const IMPORTED_SETTINGS_CHECKS = {
+  schedule: (schedule) => {
+    if (!["interval", "aligned", "cron"].includes(schedule.type)) {
+      return `unknown schedule type "${schedule.type}"`;
+    }
+    if (schedule.type === "cron") {
+      const cronError = validateCronExpression(schedule.cron);
+      if (cronError) {
+        return `invalid cron expression: ${cronError}`;
+      }
+    }
+    return isOptionalNumber(schedule.offsetSeconds)
+      ? null
+      : "invalid schedule offset";
+  },
+  randomness: (randomness) =>
+    isOptionalNumber(randomness.variationPercent) &&
+    (randomness.variationPercent || 0) <= 100
+      ? null
+      : "randomness must be between 0 and 100%",
+  contentCheck: (contentCheck) =>
+    contentCheck.selector === undefined ||
+    typeof contentCheck.selector === "string"
+      ? null
+      : "invalid content check selector",
+  watch: (watch) => {
+    if (!Array.isArray(watch.rules)) {
+      return "watch rules must be a list";
+    }
+    if (watch.actions !== undefined && !isPlainObject(watch.actions)) {
+      return "invalid watch actions";
+    }
+    for (const rule of watch.rules) {
+      const error = validateImportedWatchRule(rule, watch.enabled);
+      if (error) return error;
+    }
+    return null;
+  },
+  activeHours: (activeHours) => {
+    if (!Array.isArray(activeHours.windows)) {
+      return "active hours windows must be a list";
+    }
+    for (const activeWindow of activeHours.windows) {
+      const error = validateImportedActiveWindow(
+        activeWindow,
+        activeHours.enabled
+      );
+      if (error) return error;
+    }
+    return null;
+  },
+  editGuard: (editGuard) =>
+    Number.isFinite(editGuard.graceSeconds) &&
+    editGuard.graceSeconds >= 0 &&
+    Number.isFinite(editGuard.maxDeferralSeconds) &&
+    editGuard.maxDeferralSeconds > 0
+      ? null
+      : "invalid edit guard timing",
+  conditions: (conditions) => {
+    const invalidKey = findInvalidFlag(conditions, CONDITION_FLAGS);
+    return invalidKey ? `invalid reload condition "${invalidKey}"` : null;
+  },
+  stopConditions: (stop) => {
+    const limits = [stop.maxReloads, stop.endAt, stop.maxDurationSeconds];
+    if (!limits.every(isOptionalNumber)) {
+      return "stop conditions must be positive numbers";
+    }
+    return stop.onReach === undefined ||
+      ["delete", "pause"].includes(stop.onReach)
+      ? null
+      : `unknown stop action "${stop.onReach}"`;
+  },
+  multiTab: (multiTab) =>
+    isOptionalNumber(multiTab.maxTabs) &&
+    isOptionalNumber(multiTab.staggerSeconds)
+      ? null
+      : "invalid multi-tab settings",
+};
+
+/**
+ * Проверить один таймер из файла импорта
+ * @returns {string|null} - Текст ошибки или null
+ */
+const validateImportedTimer = (entry) => {
+  if (!isPlainObject(entry) || !isPlainObject(entry.rule)) {
+    return "missing rule";
+  }
+  if (entry.rule.type === "tab") {
+    return "tab-bound timers can't be imported";
+  }
+  if (typeof entry.rule.value !== "string" || !isValidRule(entry.rule)) {
+    return `invalid rule "${entry.rule.value}"`;
+  }
+  const normalizeError = validateImportedNormalize(entry.rule.normalize);
+  if (normalizeError) {
+    return normalizeError;
+  }
+  if (!isPlainObject(entry.settings)) {
+    return "missing settings";
+  }
+
+  const { intervalSeconds, priority, adoption } = entry.settings;
+  if (!Number.isInteger(intervalSeconds) || intervalSeconds < 1) {
+    return "interval must be a whole number of seconds";
+  }
+  if (priority != null && !Number.isFinite(priority)) {
+    return "priority must be a number";
+  }
+  if (adoption != null && !["auto", "ask", "never"].includes(adoption)) {
+    return `unknown adoption mode "${adoption}"`;
+  }
+
+  for (const [key, check] of Object.entries(IMPORTED_SETTINGS_CHECKS)) {
+    const block = entry.settings[key];
+    if (block === undefined || block === null) continue;
+
+    const error = isPlainObject(block)
+      ? check(block)
+      : `"${key}" must be an object`;
+    if (error) return error;
+  }
+  return null;
+};
+
+/**
+ * Разобрать и проверить файл импорта
+ * @param {string} text - Содержимое файла
+ * @returns {{timers: Array<{rule: object, settings: object, createdAt: number}>, errors: Array<string>}}
+ * @throws {Error} - Файл не является экспортом таймеров
+ */
+export const parseTimersImport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("The file is not valid JSON");
+  }
+
+  if (!isPlainObject(data) || data.format !== EXPORT_FORMAT) {
+    throw new Error("The file is not a timer export");
+  }
+  if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+    throw new Error("The file was exported by a newer version");
+  }
+  if (!Array.isArray(data.timers)) {
+    throw new Error("The file has no timer list");
+  }
+
+  const timers = [];
+  const errors = [];
+  data.timers.forEach((entry, index) => {
+    const error = validateImportedTimer(entry);
+    if (error) {
+      errors.push(`Timer ${index + 1}: ${error}`);
+      return;
+    }
+    timers.push({
+      rule: entry.rule,
+      // Настройки из более старых версий (и пустые блоки) дополняем
+      // значениями по умолчанию
+      settings: {
+        ...DEFAULT_TIMER_SETTINGS,
+        ...Object.fromEntries(
+          Object.entries(entry.settings).filter(([, value]) => value !== null)
+        ),
+      },
+      createdAt: Number.isFinite(entry.createdAt)
+        ? entry.createdAt
+        : Date.now(),
+    });
+  });
+
+  return { timers, errors };
+};
+
+// Ключ для поиска дубликатов: тип правила и его значение
+const getImportRuleKey = (rule) => `${rule.type}:${getRuleKey(rule)}`;
+
+/**
+ * План импорта. merge - таймеры с тем же правилом перезаписываются,
+ * replace - все текущие таймеры удаляются. Повторы правила внутри
+ * файла пропускаются (остаётся первый)
+ * @param {Array<object>} imported - Таймеры из parseTimersImport
+ * @param {object} existingTimers - Текущие таймеры {id: timer}
+ * @param {string} mode - "merge" или "replace"
+ * @returns {{added: Array<object>, overwritten: Array<{imported: object, existing: object}>, removed: Array<object>, duplicates: Array<object>}}
+ */
+export const planTimersImport = (imported, existingTimers, mode) => {
+  const existingByRule = new Map(
+    Object.values(existingTimers).map((timer) => [
+      getImportRuleKey(timer.rule),
+      timer,
+    ])
+  );
+  const seenRules = new Set();
+  const plan = { added: [], overwritten: [], removed: [], duplicates: [] };
+
+  for (const timer of imported) {
+    const ruleKey = getImportRuleKey(timer.rule);
+    if (seenRules.has(ruleKey)) {
+      plan.duplicates.push(timer);
+      continue;
+    }
+    seenRules.add(ruleKey);
+
+    const existing = existingByRule.get(ruleKey);
+    if (mode === "merge" && existing) {
+      plan.overwritten.push({ imported: timer, existing });
+    } else {
+      plan.added.push(timer);
+    }
+  }
+
+  if (mode === "replace") {
+    plan.removed = Object.values(existingTimers);
+  }
+  return plan;
+};
+
+/**
+ * Выполнить план импорта через addTimer/updateTimer/removeTimer, чтобы
+ * изменения попали в синхронизацию и к background. Новые таймеры без
+ * вкладки - background привяжет их к подходящим вкладкам
+ * @param {object} plan - Результат planTimersImport
+ * @returns {Promise<void>}
+ */
+export const applyTimersImport = async (plan) => {
+  for (const timer of plan.removed) {
+    await removeTimer(timer.id);
+  }
+  for (const { imported, existing } of plan.overwritten) {
+    await updateTimer(existing.id, {
+      rule: imported.rule,
+      settings: imported.settings,
+    });
+  }
+  for (const imported of plan.added) {
+    await addTimer({
+      ...createTimer(null, imported.rule, imported.settings),
+      createdAt: imported.createdAt,
+    });
   }
 };
 
@@ -1,24 +1,105 @@
 import {
   addTimer,
+  analyzeConflicts,
+  applyTimersImport,
+  calculateNextInterval,
+  createTimer,
+  describeRule,
+  escapeRegExp,
+  exportTimers,
   findActiveTimerForUrl,
   formatTime,
   generateUUID,
   getDomainFromUrl,
+  getDrivenTabIds,
+  getGlobalSettings,
+  getPausedState,
+  getPresets,
+  getResumedState,
+  getStartedTimer,
+  getStopDeadline,
+  getSyncDivergence,
+  getSyncLog,
+  getSyncStatus,
+  getTimerSyncStates,
+  getTabReloadState,
   getTimers,
+  getUpcomingReloadTimes,
+  isTimerExportable,
+  isTimerSynced,
+  isValidRule,
+  matchRule,
+  parseTimeOfDay,
+  parseTimersImport,
+  planTimersImport,
+  removePreset,
   removeTimer,
+  resolveSyncDivergence,
+  saveLastTimerTemplate,
+  savePreset,
+  updateGlobalSettings,
+  updateTimer,
+  validateCronExpression,
 } from "./shared/utils.js";
 
 const ICON_ACTIVE = "icon128.png";
 const ICON_INACTIVE = "icon128-gray.png";
+const URL_SETTINGS_KEY = "urlSettings"; // Последние настройки по URL или домену
 
 // DOM Elements
+const scheduleTypeSelect = document.getElementById("scheduleTypeSelect");
+const cronControls = document.getElementById("cronControls");
+const cronInput = document.getElementById("cronInput");
+const alignControls = document.getElementById("alignControls");
+const alignOffsetInput = document.getElementById("alignOffsetInput");
+const intervalInputs = document.getElementById("intervalInputs");
+const presetChips = document.getElementById("presetChips");
+const presetSaveRow = document.getElementById("presetSaveRow");
+const presetNameInput = document.getElementById("presetNameInput");
+const presetSaveConfirmBtn = document.getElementById("presetSaveConfirmBtn");
+const presetSaveCancelBtn = document.getElementById("presetSaveCancelBtn");
+const sliderSection = document.getElementById("sliderSection");
+const schedulePreview = document.getElementById("schedulePreview");
+const schedulePreviewList = document.getElementById("schedulePreviewList");
+const randomnessSection = document.getElementById("randomnessSection");
 const hoursInput = document.getElementById("hours");
 const minutesInput = document.getElementById("minutes");
 const secondsInput = document.getElementById("seconds");
 const timeSlider = document.getElementById("timeSlider");
 const sliderValueDisplay = document.getElementById("sliderValueDisplay");
 const startBtn = document.getElementById("startBtn");
-const stopBtn = document.getElementById("stopBtn");
+const pauseBtn = document.getElementById("pauseBtn");
+const deleteBtn = document.getElementById("deleteBtn");
+const deleteConfirm = document.getElementById("deleteConfirm");
+const deleteConfirmBtn = document.getElementById("deleteConfirmBtn");
+const deleteCancelBtn = document.getElementById("deleteCancelBtn");
+const reloadNowBtn = document.getElementById("reloadNowBtn");
+const skipNextBtn = document.getElementById("skipNextBtn");
+const snoozeBtn = document.getElementById("snoozeBtn");
+const snoozeMinutesInput = document.getElementById("snoozeMinutesInput");
+const editBtn = document.getElementById("editBtn");
+const editBar = document.getElementById("editBar");
+const applyNowBtn = document.getElementById("applyNowBtn");
+const applyLaterBtn = document.getElementById("applyLaterBtn");
+const editCancelBtn = document.getElementById("editCancelBtn");
+const dashboardBtn = document.getElementById("dashboardBtn");
+const dashboardBlock = document.getElementById("dashboardBlock");
+const dashboardTitle = document.getElementById("dashboardTitle");
+const dashboardList = document.getElementById("dashboardList");
+const stopAllBtn = document.getElementById("stopAllBtn");
+const stopAllConfirm = document.getElementById("stopAllConfirm");
+const stopAllConfirmText = document.getElementById("stopAllConfirmText");
+const stopAllConfirmBtn = document.getElementById("stopAllConfirmBtn");
+const stopAllCancelBtn = document.getElementById("stopAllCancelBtn");
+const exportBtn = document.getElementById("exportBtn");
+const importBtn = document.getElementById("importBtn");
+const importFileInput = document.getElementById("importFileInput");
+const importPreview = document.getElementById("importPreview");
+const importPreviewTitle = document.getElementById("importPreviewTitle");
+const importModeSelect = document.getElementById("importModeSelect");
+const importPreviewList = document.getElementById("importPreviewList");
+const importConfirmBtn = document.getElementById("importConfirmBtn");
+const importCancelBtn = document.getElementById("importCancelBtn");
 const intervalDisplay = document.getElementById("intervalDisplay");
 const remainingDisplay = document.getElementById("remainingDisplay");
 const errorMessage = document.getElementById("errorMessage");
@@ -32,8 +113,93 @@ const normalDistCheckbox = document.getElementById("normalDistCheckbox");
 const normalDistInfo = document.getElementById("normalDistInfo");
 const range68 = document.getElementById("range68");
 const range95 = document.getElementById("range95");
-const applyToDomainCheckbox = document.getElementById("applyToDomainCheckbox");
+const ruleTypeSelect = document.getElementById("ruleTypeSelect");
+const ruleValueInput = document.getElementById("ruleValueInput");
 const domainHint = document.getElementById("domainHint");
+const ruleMatchIndicator = document.getElementById("ruleMatchIndicator");
+const priorityInput = document.getElementById("priorityInput");
+const adoptionSelect = document.getElementById("adoptionSelect");
+const returnToStartRow = document.getElementById("returnToStartRow");
+const returnToStartCheckbox = document.getElementById("returnToStartCheckbox");
+const normalizeControls = document.getElementById("normalizeControls");
+const ignoreFragmentCheckbox = document.getElementById(
+  "ignoreFragmentCheckbox"
+);
+const ignoreQueryCheckbox = document.getElementById("ignoreQueryCheckbox");
+const ignoreParamsInput = document.getElementById("ignoreParamsInput");
+const caseInsensitivePathCheckbox = document.getElementById(
+  "caseInsensitivePathCheckbox"
+);
+const ignoreTrailingSlashCheckbox = document.getElementById(
+  "ignoreTrailingSlashCheckbox"
+);
+const multiTabCheckbox = document.getElementById("multiTabCheckbox");
+const multiTabControls = document.getElementById("multiTabControls");
+const maxTabsInput = document.getElementById("maxTabsInput");
+const staggerInput = document.getElementById("staggerInput");
+const drivenTabsStatus = document.getElementById("drivenTabsStatus");
+const conflictPolicySelect = document.getElementById("conflictPolicySelect");
+const syncTimerCheckbox = document.getElementById("syncTimerCheckbox");
+const syncDefaultCheckbox = document.getElementById("syncDefaultCheckbox");
+const syncLogBtn = document.getElementById("syncLogBtn");
+const syncWarning = document.getElementById("syncWarning");
+const syncSummary = document.getElementById("syncSummary");
+const syncNowBtn = document.getElementById("syncNowBtn");
+const pullBtn = document.getElementById("pullBtn");
+const syncDiffBtn = document.getElementById("syncDiffBtn");
+const syncDiffList = document.getElementById("syncDiffList");
+const syncUsage = document.getElementById("syncUsage");
+const syncLogList = document.getElementById("syncLogList");
+const conflictWarning = document.getElementById("conflictWarning");
+const conflictList = document.getElementById("conflictList");
+const conflictConfirmBtn = document.getElementById("conflictConfirmBtn");
+const conflictCancelBtn = document.getElementById("conflictCancelBtn");
+const watchSection = document.getElementById("watchSection");
+const watchCheckbox = document.getElementById("watchCheckbox");
+const watchControls = document.getElementById("watchControls");
+const watchRulesList = document.getElementById("watchRulesList");
+const addWatchRuleBtn = document.getElementById("addWatchRuleBtn");
+const watchNotifyCheckbox = document.getElementById("watchNotifyCheckbox");
+const watchSoundCheckbox = document.getElementById("watchSoundCheckbox");
+const watchFocusCheckbox = document.getElementById("watchFocusCheckbox");
+const watchStopCheckbox = document.getElementById("watchStopCheckbox");
+const watchStatus = document.getElementById("watchStatus");
+const activeHoursSection = document.getElementById("activeHoursSection");
+const activeHoursCheckbox = document.getElementById("activeHoursCheckbox");
+const activeHoursControls = document.getElementById("activeHoursControls");
+const activeWindowsList = document.getElementById("activeWindowsList");
+const addActiveWindowBtn = document.getElementById("addActiveWindowBtn");
+const editGuardSection = document.getElementById("editGuardSection");
+const editGuardCheckbox = document.getElementById("editGuardCheckbox");
+const editGuardControls = document.getElementById("editGuardControls");
+const editGraceInput = document.getElementById("editGraceInput");
+const editMaxDeferralInput = document.getElementById("editMaxDeferralInput");
+const conditionsSection = document.getElementById("conditionsSection");
+const onlyWhenIdleCheckbox = document.getElementById("onlyWhenIdleCheckbox");
+const onlyInBackgroundCheckbox = document.getElementById(
+  "onlyInBackgroundCheckbox"
+);
+const skipFocusedTabCheckbox = document.getElementById(
+  "skipFocusedTabCheckbox"
+);
+const reloadOnReturnCheckbox = document.getElementById(
+  "reloadOnReturnCheckbox"
+);
+const conditionStatus = document.getElementById("conditionStatus");
+const stopSection = document.getElementById("stopSection");
+const stopCheckbox = document.getElementById("stopCheckbox");
+const stopControls = document.getElementById("stopControls");
+const stopMaxReloadsInput = document.getElementById("stopMaxReloadsInput");
+const stopEndAtInput = document.getElementById("stopEndAtInput");
+const stopDurationInput = document.getElementById("stopDurationInput");
+const stopOnReachSelect = document.getElementById("stopOnReachSelect");
+const stopProgress = document.getElementById("stopProgress");
+const contentCheckbox = document.getElementById("contentCheckbox");
+const contentControls = document.getElementById("contentControls");
+const contentSelector = document.getElementById("contentSelector");
+const contentStatus = document.getElementById("contentStatus");
+const contentStatusText = document.getElementById("contentStatusText");
+const contentDiff = document.getElementById("contentDiff");
 
 // Константы для экспоненциальной функции
 const EXP_K = 0.1; // Коэффициент экспоненты
@@ -52,9 +218,25 @@ const secondsToPosition = (seconds) => {
   return Math.log((seconds - 1) / EXP_SCALE + 1) / EXP_K;
 };
 
+const SCHEDULE_PREVIEW_COUNT = 5; // Сколько ближайших перезагрузок показывать
+const DEFAULT_STAGGER_SECONDS = 5; // Сдвиг между вкладками одного правила
+
 let currentTabId = null;
 let updateIntervalId = null;
 let lastProgressWidth = 0; // Для отслеживания направления изменения
+let lastRenderedDiffAt = null; // checkedAt снимка, diff которого уже отрисован
+let watchRules = []; // Редактируемый список правил наблюдения
+let activeWindows = []; // Редактируемый список окон активных часов
+let conflictPolicy = "specific"; // Глобальная политика разрешения конфликтов
+let syncNewTimers = true; // Синхронизировать ли новые таймеры по умолчанию
+let pendingConflictConfirm = null; // Запуск, ожидающий подтверждения
+let editingTimerId = null; // Запущенный таймер, который сейчас редактируется
+let pendingEditTimerId = null; // Таймер, редактирование которого начнётся после загрузки
+let dashboardIntervalId = null; // Обновление обратного отсчёта в панели таймеров
+let dashboardTimers = {}; // Таймеры, отрисованные в панели таймеров
+let pendingDashboardDelete = null; // Таймер, удаление которого ждёт подтверждения
+const selectedTimerIds = new Set(); // Таймеры, отмеченные в панели для экспорта
+let pendingImport = null; // Таймеры из файла, импорт которых ждёт подтверждения
 
 // Утилиты
 const queryActiveTab = () =>
@@ -81,8 +263,6 @@ const setIconForTab = (tabId, enabled) => {
 
 const isUrlEligible = (url) => Boolean(url && /^https?:/i.test(url));
 
-// Получить текущие настройки из UI
-
 // Получить настройки для конкретного URL или домена
 const getUrlSettings = async (url, checkDomain = true) => {
   return new Promise((resolve) => {
@@ -114,7 +294,7 @@ const saveUrlSettings = async (url, settings) => {
   return new Promise((resolve) => {
     chrome.storage.local.get([URL_SETTINGS_KEY], (result) => {
       const allSettings = result[URL_SETTINGS_KEY] || {};
-      const key = getSettingsKey(url, settings.applyToDomain);
+      const key = getSettingsKey(url, settings.ruleType === "domain");
       allSettings[key] = settings;
       chrome.storage.local.set({ [URL_SETTINGS_KEY]: allSettings }, resolve);
     });
@@ -129,12 +309,16 @@ const getSettingsKey = (url, useDomain = false) => {
   return url;
 };
 
-// Собрать текущие настройки из UI
+// Собрать текущие настройки из UI (интервал, случайность и область действия)
 const getCurrentSettings = () => {
   const totalSeconds = getTimeInSeconds();
   return {
     intervalSeconds: totalSeconds,
-    applyToDomain: applyToDomainCheckbox.checked,
+    ruleType: ruleTypeSelect.value,
+    ruleValue: isFixedRuleType(ruleTypeSelect.value)
+      ? ""
+      : ruleValueInput.value.trim(),
+    normalize: getNormalizeConfig(),
     randomness: {
       enabled: randomnessCheckbox.checked,
       variationPercent: randomnessCheckbox.checked
@@ -146,6 +330,22 @@ const getCurrentSettings = () => {
   };
 };
 
+// Заполнить интервал, случайность и область действия запомненными настройками
+const applyUrlSettings = (settings, url) => {
+  if (settings.intervalSeconds > 0) {
+    applyIntervalSeconds(settings.intervalSeconds);
+  }
+  applyRandomnessConfig(settings.randomness);
+
+  // Правило "tab" привязано к вкладке - для новой вкладки его не подставляем
+  if (settings.ruleType && settings.ruleType !== "tab") {
+    ruleTypeSelect.value = settings.ruleType;
+    ruleValueInput.value =
+      settings.ruleValue || getDefaultRuleValue(settings.ruleType, url);
+    applyNormalizeConfig(settings.normalize);
+  }
+};
+
 // Конвертация времени в секунды
 const getTimeInSeconds = () => {
   const hours = parseInt(hoursInput.value) || 0;
@@ -154,6 +354,158 @@ const getTimeInSeconds = () => {
   return hours * 3600 + minutes * 60 + seconds;
 };
 
+// Собрать настройки расписания из UI
+const getScheduleConfig = () => ({
+  type: scheduleTypeSelect.value,
+  cron: scheduleTypeSelect.value === "cron" ? cronInput.value.trim() : "",
+  offsetSeconds:
+    scheduleTypeSelect.value === "aligned"
+      ? parseTimeOfDay(alignOffsetInput.value || "00:00") * 60
+      : 0,
+});
+
+// Базовый интервал таймера: для cron - промежуток между ближайшими срабатываниями
+// (нужен для прогресс-бара, политики "shortest" и значения по умолчанию)
+const getScheduleIntervalSeconds = (schedule) => {
+  if (schedule.type !== "cron") {
+    return getTimeInSeconds();
+  }
+
+  const [first, second] = getUpcomingReloadTimes(
+    { intervalSeconds: 60, schedule },
+    2
+  );
+  return first && second
+    ? Math.round((second.getTime() - first.getTime()) / 1000)
+    : 60;
+};
+
+// Проверка расписания из UI (при ошибке показывает её и возвращает false)
+const validateScheduleInputs = (schedule) => {
+  if (schedule.type === "cron") {
+    const cronError = validateCronExpression(schedule.cron);
+    if (cronError) {
+      showError(true, `Cron: ${cronError}`);
+      return false;
+    }
+  } else if (getTimeInSeconds() < 1) {
+    showError(true);
+    return false;
+  }
+  return true;
+};
+
+// Настройки случайности из UI (только для расписания по интервалу)
+const getRandomnessConfig = (schedule) => ({
+  enabled: randomnessCheckbox.checked && schedule.type === "interval",
+  variationPercent: randomnessCheckbox.checked
+    ? parseInt(variationSlider.value)
+    : 0,
+  useNormalDistribution:
+    randomnessCheckbox.checked && normalDistCheckbox.checked,
+});
+
+// Загрузка настроек случайности в UI
+const applyRandomnessConfig = (randomness) => {
+  if (!randomness || !randomness.enabled) {
+    randomnessCheckbox.checked = false;
+    randomnessControls.classList.add("hidden");
+    normalDistCheckbox.checked = false;
+    normalDistInfo.classList.add("hidden");
+    uniformRange.style.display = "block";
+    return;
+  }
+
+  randomnessCheckbox.checked = true;
+  randomnessControls.classList.remove("hidden");
+  variationSlider.value = randomness.variationPercent || 15;
+  variationValue.textContent = `±${variationSlider.value}%`;
+
+  normalDistCheckbox.checked = Boolean(randomness.useNormalDistribution);
+  normalDistInfo.classList.toggle("hidden", !normalDistCheckbox.checked);
+  uniformRange.style.display = normalDistCheckbox.checked ? "none" : "block";
+
+  updateRandomnessRanges();
+};
+
+// Загрузка настроек расписания в UI
+const applyScheduleConfig = (schedule) => {
+  scheduleTypeSelect.value = (schedule && schedule.type) || "interval";
+  cronInput.value = (schedule && schedule.cron) || "";
+
+  const offsetMinutes = Math.round(
+    ((schedule && schedule.offsetSeconds) || 0) / 60
+  );
+  alignOffsetInput.value = `${String(Math.floor(offsetMinutes / 60)).padStart(
+    2,
+    "0"
+  )}:${String(offsetMinutes % 60).padStart(2, "0")}`;
+
+  updateScheduleControls();
+};
+
+// Формат момента перезагрузки в предпросмотре: "Mon 19 Oct, 09:00"
+const formatPreviewTime = (date) =>
+  date.toLocaleString("en-GB", {
+    weekday: "short",
+    day: "2-digit",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Предпросмотр ближайших перезагрузок для cron и выровненных интервалов
+const updateSchedulePreview = () => {
+  const schedule = getScheduleConfig();
+  schedulePreviewList.replaceChildren();
+
+  if (schedule.type === "interval") {
+    schedulePreview.classList.add("hidden");
+    return;
+  }
+
+  schedulePreview.classList.remove("hidden");
+
+  if (schedule.type === "cron") {
+    const cronError = validateCronExpression(schedule.cron);
+    if (cronError) {
+      const item = document.createElement("li");
+      item.textContent = schedule.cron
+        ? `⚠️ ${cronError}`
+        : "Enter a cron expression";
+      schedulePreviewList.appendChild(item);
+      return;
+    }
+  } else if (getTimeInSeconds() < 1) {
+    schedulePreview.classList.add("hidden");
+    return;
+  }
+
+  const times = getUpcomingReloadTimes(
+    { intervalSeconds: getTimeInSeconds(), schedule },
+    SCHEDULE_PREVIEW_COUNT
+  );
+  for (const time of times) {
+    const item = document.createElement("li");
+    item.textContent = formatPreviewTime(time);
+    schedulePreviewList.appendChild(item);
+  }
+};
+
+// Показ полей, относящихся к выбранному типу расписания
+const updateScheduleControls = () => {
+  const type = scheduleTypeSelect.value;
+
+  cronControls.classList.toggle("hidden", type !== "cron");
+  alignControls.classList.toggle("hidden", type !== "aligned");
+  intervalInputs.classList.toggle("hidden", type === "cron");
+  sliderSection.classList.toggle("hidden", type === "cron");
+  // Случайность имеет смысл только для обычного интервала
+  randomnessSection.classList.toggle("hidden", type !== "interval");
+
+  updateSchedulePreview();
+};
+
 // Форматирование для отображения на ползунке (более компактное)
 const formatSliderValue = (totalSeconds) => {
   if (totalSeconds < 60) {
@@ -189,6 +541,22 @@ const applySliderValueToInputs = (position) => {
   showError(false);
 };
 
+// Заполнить поля интервала и ползунок
+const applyIntervalSeconds = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  hoursInput.value = hours || "";
+  minutesInput.value = minutes || "";
+  secondsInput.value = seconds || "";
+
+  // Синхронизируем ползунок
+  const position = secondsToPosition(totalSeconds);
+  timeSlider.value = Math.min(100, Math.max(0, position));
+  updateSliderDisplay(parseFloat(timeSlider.value));
+};
+
 // Синхронизация ползунка с полями ввода
 const syncSliderWithInputs = () => {
   const totalSeconds = getTimeInSeconds();
@@ -276,20 +644,626 @@ const interpolateColor = (color1, color2, factor) => {
   ];
 };
 
-// Блокировка/разблокировка полей ввода
-const setInputsDisabled = (disabled) => {
+// Отрисовка diff снимков содержимого
+const renderContentDiff = (diff) => {
+  contentDiff.replaceChildren();
+  if (!diff) return;
+
+  for (const line of diff) {
+    const row = document.createElement("div");
+    row.className = `diff-line ${line.type}`;
+
+    if (line.type === "skip") {
+      row.textContent = `… ${line.count} unchanged lines`;
+    } else {
+      const prefix =
+        line.type === "insert" ? "+ " : line.type === "delete" ? "- " : "  ";
+      row.textContent = prefix + line.text;
+    }
+
+    contentDiff.appendChild(row);
+  }
+};
+
+// Обновление статуса изменений содержимого (у каждой вкладки правила свой снимок)
+const renderContentStatus = (timer, tabState) => {
+  const contentCheck = timer?.settings.contentCheck;
+
+  if (!contentCheck || !contentCheck.enabled) {
+    contentStatus.classList.add("hidden");
+    renderContentDiff(null);
+    lastRenderedDiffAt = null;
+    return;
+  }
+
+  contentStatus.classList.remove("hidden");
+  const content = tabState.content;
+
+  if (!content) {
+    contentStatusText.textContent = "Content: waiting for the next reload";
+    contentStatusText.classList.remove("changed");
+    return;
+  }
+
+  const now = Date.now();
+
+  if (content.error) {
+    contentStatusText.textContent = `⚠️ ${content.error}`;
+  } else if (content.matched === 0) {
+    contentStatusText.textContent = "⚠️ Selector matched nothing";
+  } else if (content.lastChangedAt) {
+    const ago = Math.max(0, Math.round((now - content.lastChangedAt) / 1000));
+    contentStatusText.textContent = content.changed
+      ? `Content changed on last reload (${formatTime(ago)} ago)`
+      : `Content last changed ${formatTime(ago)} ago`;
+  } else {
+    contentStatusText.textContent = "No content changes detected yet";
+  }
+  contentStatusText.classList.toggle("changed", Boolean(content.changed));
+
+  // diff перерисовываем только при появлении нового снимка
+  if (lastRenderedDiffAt !== content.checkedAt) {
+    lastRenderedDiffAt = content.checkedAt;
+    renderContentDiff(content.diff);
+  }
+};
+
+// Новое пустое правило наблюдения
+const createWatchRule = () => ({
+  id: generateUUID(),
+  pattern: "",
+  isRegex: false,
+  condition: "appears",
+});
+
+const isValidRegex = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Отрисовка редактора правил наблюдения
+const renderWatchRules = () => {
+  watchRulesList.replaceChildren();
+  const disabled = watchCheckbox.disabled;
+
+  for (const rule of watchRules) {
+    const row = document.createElement("div");
+    row.className = "watch-rule";
+
+    const patternInput = document.createElement("input");
+    patternInput.type = "text";
+    patternInput.className = "text-input";
+    patternInput.placeholder = rule.isRegex ? "Regular expression" : "Keyword";
+    patternInput.spellcheck = false;
+    patternInput.value = rule.pattern;
+    patternInput.disabled = disabled;
+    patternInput.classList.toggle(
+      "invalid",
+      rule.isRegex && !isValidRegex(rule.pattern)
+    );
+    patternInput.addEventListener("input", () => {
+      rule.pattern = patternInput.value;
+      patternInput.classList.toggle(
+        "invalid",
+        rule.isRegex && !isValidRegex(rule.pattern)
+      );
+    });
+
+    const conditionSelect = document.createElement("select");
+    conditionSelect.className = "select-input";
+    conditionSelect.disabled = disabled;
+    for (const [value, label] of [
+      ["appears", "appears"],
+      ["disappears", "disappears"],
+    ]) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      conditionSelect.appendChild(option);
+    }
+    conditionSelect.value = rule.condition;
+    conditionSelect.addEventListener("change", () => {
+      rule.condition = conditionSelect.value;
+    });
+
+    const regexLabel = document.createElement("label");
+    regexLabel.className = "watch-rule-regex";
+    regexLabel.title = "Treat as a regular expression";
+    const regexCheckbox = document.createElement("input");
+    regexCheckbox.type = "checkbox";
+    regexCheckbox.className = "checkbox-input";
+    regexCheckbox.checked = rule.isRegex;
+    regexCheckbox.disabled = disabled;
+    regexCheckbox.addEventListener("change", () => {
+      rule.isRegex = regexCheckbox.checked;
+      renderWatchRules();
+    });
+    regexLabel.append(regexCheckbox, ".*");
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "btn-icon";
+    removeBtn.title = "Remove rule";
+    removeBtn.textContent = "✕";
+    removeBtn.disabled = disabled;
+    removeBtn.addEventListener("click", () => {
+      watchRules = watchRules.filter((r) => r.id !== rule.id);
+      renderWatchRules();
+    });
+
+    row.append(patternInput, conditionSelect, regexLabel, removeBtn);
+    watchRulesList.appendChild(row);
+  }
+};
+
+// Собрать конфигурацию наблюдения из UI (null - есть некорректные правила)
+const getWatchConfig = () => {
+  const rules = watchRules
+    .map((rule) => ({ ...rule, pattern: rule.pattern.trim() }))
+    .filter((rule) => rule.pattern);
+
+  // Выключенное наблюдение не проверяем: правила сохраняются как есть
+  if (
+    watchCheckbox.checked &&
+    rules.some((rule) => rule.isRegex && !isValidRegex(rule.pattern))
+  ) {
+    return null;
+  }
+
+  return {
+    enabled: watchCheckbox.checked && rules.length > 0,
+    rules,
+    actions: {
+      notify: watchNotifyCheckbox.checked,
+      sound: watchSoundCheckbox.checked,
+      focus: watchFocusCheckbox.checked,
+      stop: watchStopCheckbox.checked,
+    },
+  };
+};
+
+// Загрузка конфигурации наблюдения в UI
+const applyWatchConfig = (watch) => {
+  watchCheckbox.checked = Boolean(watch && watch.enabled);
+  watchRules = watch ? watch.rules.map((rule) => ({ ...rule })) : [];
+  if (watchRules.length === 0) {
+    watchRules.push(createWatchRule());
+  }
+
+  const actions = (watch && watch.actions) || { notify: true };
+  watchNotifyCheckbox.checked = Boolean(actions.notify);
+  watchSoundCheckbox.checked = Boolean(actions.sound);
+  watchFocusCheckbox.checked = Boolean(actions.focus);
+  watchStopCheckbox.checked = Boolean(actions.stop);
+
+  watchControls.classList.toggle("hidden", !watchCheckbox.checked);
+  renderWatchRules();
+};
+
+// Обновление статуса последнего срабатывания правил наблюдения
+const renderWatchStatus = (timer, tabState) => {
+  const lastMatch = tabState?.watch?.lastMatch;
+
+  if (!timer?.settings.watch?.enabled || !lastMatch) {
+    watchStatus.classList.add("hidden");
+    return;
+  }
+
+  const ago = Math.max(0, Math.round((Date.now() - lastMatch.at) / 1000));
+  watchStatus.textContent = `🔔 ${lastMatch.description} (${formatTime(
+    ago
+  )} ago)`;
+  watchStatus.classList.remove("hidden");
+};
+
+// Дни недели в порядке отображения (значения - как у Date.getDay)
+const WEEK_DAYS = [
+  [1, "Mo"],
+  [2, "Tu"],
+  [3, "We"],
+  [4, "Th"],
+  [5, "Fr"],
+  [6, "Sa"],
+  [0, "Su"],
+];
+
+// Новое окно активных часов (по умолчанию - рабочие дни)
+const createActiveWindow = () => ({
+  days: [1, 2, 3, 4, 5],
+  start: "09:00",
+  end: "18:00",
+});
+
+// Отрисовка редактора окон активных часов
+const renderActiveWindows = () => {
+  activeWindowsList.replaceChildren();
+  const disabled = activeHoursCheckbox.disabled;
+
+  activeWindows.forEach((activeWindow, index) => {
+    const row = document.createElement("div");
+    row.className = "active-window";
+
+    const days = document.createElement("div");
+    days.className = "active-window-days";
+    for (const [day, label] of WEEK_DAYS) {
+      const toggle = document.createElement("button");
+      toggle.type = "button";
+      toggle.className = "day-toggle";
+      toggle.textContent = label;
+      toggle.disabled = disabled;
+      toggle.classList.toggle("active", activeWindow.days.includes(day));
+      toggle.addEventListener("click", () => {
+        activeWindow.days = activeWindow.days.includes(day)
+          ? activeWindow.days.filter((d) => d !== day)
+          : [...activeWindow.days, day];
+        toggle.classList.toggle("active", activeWindow.days.includes(day));
+      });
+      days.appendChild(toggle);
+    }
+
+    const times = document.createElement("div");
+    times.className = "active-window-times";
+
+    const startInput = document.createElement("input");
+    startInput.type = "time";
+    startInput.className = "text-input";
+    startInput.value = activeWindow.start;
+    startInput.disabled = disabled;
+    startInput.addEventListener("change", () => {
+      activeWindow.start = startInput.value || activeWindow.start;
+    });
+
+    const endInput = document.createElement("input");
+    endInput.type = "time";
+    endInput.className = "text-input";
+    endInput.value = activeWindow.end;
+    endInput.disabled = disabled;
+    endInput.addEventListener("change", () => {
+      activeWindow.end = endInput.value || activeWindow.end;
+    });
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "btn-icon";
+    removeBtn.title = "Remove window";
+    removeBtn.textContent = "✕";
+    removeBtn.disabled = disabled;
+    removeBtn.addEventListener("click", () => {
+      activeWindows.splice(index, 1);
+      renderActiveWindows();
+    });
+
+    times.append(startInput, "–", endInput, removeBtn);
+    row.append(days, times);
+    activeWindowsList.appendChild(row);
+  });
+};
+
+// Собрать настройки активных часов из UI (null - есть окно без дней)
+const getActiveHoursConfig = () => {
+  const enabled = activeHoursCheckbox.checked && activeWindows.length > 0;
+
+  if (
+    enabled &&
+    activeWindows.some((activeWindow) => activeWindow.days.length === 0)
+  ) {
+    return null;
+  }
+
+  return {
+    enabled,
+    windows: activeWindows.map((activeWindow) => ({
+      ...activeWindow,
+      days: [...activeWindow.days].sort((x, y) => x - y),
+    })),
+  };
+};
+
+// Загрузка настроек активных часов в UI
+const applyActiveHoursConfig = (activeHours) => {
+  activeHoursCheckbox.checked = Boolean(activeHours && activeHours.enabled);
+  activeWindows = activeHours
+    ? activeHours.windows.map((activeWindow) => ({
+        ...activeWindow,
+        days: [...activeWindow.days],
+      }))
+    : [];
+  if (activeWindows.length === 0) {
+    activeWindows.push(createActiveWindow());
+  }
+
+  activeHoursControls.classList.toggle("hidden", !activeHoursCheckbox.checked);
+  renderActiveWindows();
+};
+
+// Время возобновления для статуса: "08:00 today" / "08:00 Monday"
+const formatResumeTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+  if (date.toDateString() === new Date().toDateString()) {
+    return `${time} today`;
+  }
+  return `${time} ${date.toLocaleDateString("en-US", { weekday: "long" })}`;
+};
+
+// Настройки отсрочки перезагрузки во время редактирования
+const DEFAULT_EDIT_GUARD = {
+  enabled: true,
+  graceSeconds: 30,
+  maxDeferralSeconds: 600,
+};
+
+// Собрать настройки отсрочки из UI
+const getEditGuardConfig = () => ({
+  enabled: editGuardCheckbox.checked,
+  graceSeconds:
+    parseInt(editGraceInput.value) || DEFAULT_EDIT_GUARD.graceSeconds,
+  maxDeferralSeconds:
+    (parseInt(editMaxDeferralInput.value) || 0) * 60 ||
+    DEFAULT_EDIT_GUARD.maxDeferralSeconds,
+});
+
+// Загрузка настроек отсрочки в UI (старые таймеры без настройки - выключено)
+const applyEditGuardConfig = (editGuard) => {
+  const guard = editGuard || { ...DEFAULT_EDIT_GUARD, enabled: false };
+  editGuardCheckbox.checked = guard.enabled;
+  editGraceInput.value = guard.graceSeconds;
+  editMaxDeferralInput.value = Math.round(guard.maxDeferralSeconds / 60);
+  editGuardControls.classList.toggle("hidden", !guard.enabled);
+};
+
+// Собрать условия перезагрузки из UI
+const getConditionsConfig = () => ({
+  onlyWhenIdle: onlyWhenIdleCheckbox.checked,
+  onlyInBackground: onlyInBackgroundCheckbox.checked,
+  skipFocusedTab: skipFocusedTabCheckbox.checked,
+  reloadOnReturn: reloadOnReturnCheckbox.checked,
+});
+
+// Загрузка условий перезагрузки в UI
+const applyConditionsConfig = (conditions) => {
+  const config = conditions || {};
+  onlyWhenIdleCheckbox.checked = Boolean(config.onlyWhenIdle);
+  onlyInBackgroundCheckbox.checked = Boolean(config.onlyInBackground);
+  skipFocusedTabCheckbox.checked = Boolean(config.skipFocusedTab);
+  reloadOnReturnCheckbox.checked = Boolean(config.reloadOnReturn);
+};
+
+// Пропущенная из-за условий перезагрузка (tabState - состояние вкладки)
+const renderConditionStatus = (tabState) => {
+  const skipped = tabState && tabState.skippedReload;
+  if (!skipped) {
+    conditionStatus.classList.add("hidden");
+    return;
+  }
+
+  conditionStatus.textContent = `⏭ Reload skipped at ${new Date(
+    skipped.at
+  ).toLocaleTimeString("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+  })}: ${skipped.reason}`;
+  conditionStatus.classList.remove("hidden");
+};
+
+// Собрать настройки нескольких вкладок из UI
+const getMultiTabConfig = () => ({
+  enabled: multiTabCheckbox.checked,
+  maxTabs: Math.max(0, parseInt(maxTabsInput.value) || 0),
+  staggerSeconds: Math.max(0, parseInt(staggerInput.value) || 0),
+});
+
+// Загрузка настроек нескольких вкладок в UI
+const applyMultiTabConfig = (multiTab) => {
+  const config = multiTab || {};
+  multiTabCheckbox.checked = Boolean(config.enabled);
+  maxTabsInput.value = config.maxTabs || 0;
+  staggerInput.value = config.staggerSeconds ?? DEFAULT_STAGGER_SECONDS;
+  multiTabControls.classList.toggle("hidden", !multiTabCheckbox.checked);
+};
+
+// Список вкладок, которые обслуживает правило
+const renderDrivenTabs = async (timer) => {
+  const tabIds = timer ? getDrivenTabIds(timer) : [];
+  if (tabIds.length < 2) {
+    drivenTabsStatus.classList.add("hidden");
+    return;
+  }
+
+  const tabs = await Promise.all(
+    tabIds.map(
+      (tabId) =>
+        new Promise((resolve) => {
+          chrome.tabs.get(tabId, (tab) => {
+            resolve(chrome.runtime.lastError ? null : tab);
+          });
+        })
+    )
+  );
+
+  const title = document.createElement("div");
+  title.className = "driven-tabs-title";
+  title.textContent = `Reloading ${tabIds.length} tabs`;
+
+  const list = document.createElement("ul");
+  list.className = "driven-tabs-list";
+  tabs.forEach((tab, index) => {
+    if (!tab) return;
+    const tabState = getTabReloadState(timer, tab.id);
+    const item = document.createElement("li");
+    const remaining = Math.max(
+      0,
+      Math.ceil((tabState.nextReloadAt - Date.now()) / 1000)
+    );
+    item.textContent = `${index === 0 ? "★ " : ""}${
+      tab.title || tab.url
+    } - ${formatTime(remaining)}`;
+    item.classList.toggle("current", tab.id === currentTabId);
+    list.appendChild(item);
+  });
+
+  drivenTabsStatus.replaceChildren(title, list);
+  drivenTabsStatus.classList.remove("hidden");
+};
+
+// Значение для input[type=datetime-local] в локальном времени
+const toDateTimeLocalValue = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Собрать условия остановки из UI (пустое поле - условие не задано)
+const getStopConditionsConfig = () => {
+  const maxReloads = parseInt(stopMaxReloadsInput.value) || null;
+  const endAt = stopEndAtInput.value
+    ? new Date(stopEndAtInput.value).getTime()
+    : null;
+  const durationMinutes = parseInt(stopDurationInput.value) || null;
+
+  return {
+    enabled:
+      stopCheckbox.checked && Boolean(maxReloads || endAt || durationMinutes),
+    maxReloads,
+    endAt,
+    maxDurationSeconds: durationMinutes ? durationMinutes * 60 : null,
+    onReach: stopOnReachSelect.value,
+  };
+};
+
+// Загрузка условий остановки в UI
+const applyStopConditionsConfig = (stopConditions) => {
+  const stop = stopConditions || {};
+  stopCheckbox.checked = Boolean(stop.enabled);
+  stopMaxReloadsInput.value = stop.maxReloads || "";
+  stopEndAtInput.value = stop.endAt ? toDateTimeLocalValue(stop.endAt) : "";
+  stopDurationInput.value = stop.maxDurationSeconds
+    ? Math.round(stop.maxDurationSeconds / 60)
+    : "";
+  stopOnReachSelect.value = stop.onReach || "delete";
+  stopControls.classList.toggle("hidden", !stopCheckbox.checked);
+};
+
+// Прогресс до остановки: "Reload 12 of 50 · Stops at 18:00 today"
+const renderStopProgress = (timer) => {
+  const stop = timer && timer.settings.stopConditions;
+  if (!stop || !stop.enabled || timer.state.paused) {
+    stopProgress.classList.add("hidden");
+    return;
+  }
+
+  const parts = [];
+  if (stop.maxReloads) {
+    parts.push(`Reload ${timer.state.reloadCount || 0} of ${stop.maxReloads}`);
+  }
+  const deadline = getStopDeadline(timer);
+  if (deadline) {
+    parts.push(`Stops at ${formatResumeTime(deadline)}`);
+  }
+
+  stopProgress.textContent = parts.join(" · ");
+  stopProgress.classList.remove("hidden");
+};
+
+// Состояние кнопок управления для таймера текущей вкладки (null - таймера нет)
+const updateControls = (timer) => {
+  const isPaused = Boolean(timer && timer.state.paused);
+  const isDetached = Boolean(timer && !timer.tabId);
+
+  startBtn.disabled = Boolean(timer);
+  pauseBtn.disabled = !timer;
+  if (isDetached) {
+    pauseBtn.textContent = "▶ Run here";
+  } else {
+    pauseBtn.textContent = isPaused ? "▶ Resume" : "⏸ Pause";
+  }
+  pauseBtn.classList.toggle("paused", isPaused || isDetached);
+  deleteBtn.disabled = !timer;
+  // Перезагрузкой можно управлять, только пока таймер работает на вкладке
+  const isRunning = Boolean(timer) && !isPaused && !isDetached;
+  reloadNowBtn.disabled = !isRunning;
+  skipNextBtn.disabled = !isRunning;
+  snoozeBtn.disabled = !isRunning;
+  // Таймер без вкладки редактировать нечего: расписание у него не запущено
+  editBtn.disabled = !timer || isDetached || Boolean(editingTimerId);
+
+  if (!timer) {
+    deleteConfirm.classList.add("hidden");
+  }
+};
+
+// Блокировка/разблокировка полей, которые можно менять у запущенного таймера:
+// расписание, случайность, область действия и синхронизация
+const setEditableInputsDisabled = (disabled) => {
+  syncTimerCheckbox.disabled = disabled || ruleTypeSelect.value === "tab";
+  scheduleTypeSelect.disabled = disabled;
+  cronInput.disabled = disabled;
+  alignOffsetInput.disabled = disabled;
   hoursInput.disabled = disabled;
   minutesInput.disabled = disabled;
   secondsInput.disabled = disabled;
   timeSlider.disabled = disabled;
-  applyToDomainCheckbox.disabled = disabled;
+  ruleTypeSelect.disabled = disabled;
+  ruleValueInput.disabled = disabled;
+  returnToStartCheckbox.disabled = disabled;
+  for (const element of normalizeControls.querySelectorAll("input")) {
+    element.disabled = disabled;
+  }
+  ignoreParamsInput.disabled = disabled || ignoreQueryCheckbox.checked;
   randomnessCheckbox.disabled = disabled;
   variationSlider.disabled = disabled;
   normalDistCheckbox.disabled = disabled;
+  for (const element of presetChips.querySelectorAll("button")) {
+    element.disabled = disabled;
+  }
+  if (disabled) {
+    presetSaveRow.classList.add("hidden");
+  }
+};
+
+// Блокировка/разблокировка полей ввода
+const setInputsDisabled = (disabled) => {
+  setEditableInputsDisabled(disabled);
+  priorityInput.disabled = disabled;
+  adoptionSelect.disabled = disabled;
+  multiTabCheckbox.disabled = disabled;
+  maxTabsInput.disabled = disabled;
+  staggerInput.disabled = disabled;
+  contentCheckbox.disabled = disabled;
+  contentSelector.disabled = disabled;
+  for (const element of watchSection.querySelectorAll(
+    "input, select, button"
+  )) {
+    element.disabled = disabled;
+  }
+  for (const element of activeHoursSection.querySelectorAll("input, button")) {
+    element.disabled = disabled;
+  }
+  for (const element of editGuardSection.querySelectorAll("input")) {
+    element.disabled = disabled;
+  }
+  for (const element of conditionsSection.querySelectorAll("input")) {
+    element.disabled = disabled;
+  }
+  for (const element of stopSection.querySelectorAll("input, select")) {
+    element.disabled = disabled;
+  }
 };
 
 // Показ/скрытие ошибки
-const showError = (show) => {
+const DEFAULT_ERROR_TEXT = errorMessage.textContent.trim();
+const showError = (show, text = DEFAULT_ERROR_TEXT) => {
+  errorMessage.textContent = text;
   if (show) {
     errorMessage.classList.add("show");
   } else {
@@ -343,16 +1317,72 @@ const startStatusUpdates = async () => {
     }
 
     const allTimers = await getTimers();
-    const activeTimer = findActiveTimerForUrl(allTimers, activeTab.url);
+    const activeTimer = findActiveTimerForUrl(
+      allTimers,
+      activeTab.url,
+      conflictPolicy,
+      activeTab.id
+    );
 
     if (!activeTimer) {
+      // Таймер исчез (например, остановлен правилом наблюдения)
       stopStatusUpdates();
+      await loadState();
+      return;
+    }
+
+    // У дополнительных вкладок правила своё расписание, снимок и наблюдение
+    const isDrivenTab =
+      activeTimer.tabId !== activeTab.id &&
+      Boolean(getTabReloadState(activeTimer, activeTab.id));
+    const tabState = isDrivenTab
+      ? getTabReloadState(activeTimer, activeTab.id)
+      : activeTimer.state;
+    renderContentStatus(activeTimer, tabState);
+    renderWatchStatus(activeTimer, tabState);
+    renderStopProgress(activeTimer);
+    renderDrivenTabs(activeTimer);
+
+    // Таймер без вкладки (из sync или после закрытия вкладки) ждёт привязки
+    if (!activeTimer.tabId) {
       updateStatus(null);
+      intervalDisplay.textContent = "Saved timer";
+      document.querySelector(".reload-status").textContent =
+        "🔗 Not attached to a tab - press Run here to start";
+      return;
+    }
+
+    // Таймер остановлен условием, но сохранён как приостановленное правило
+    if (activeTimer.state.paused && activeTimer.state.finishedReason) {
+      updateStatus(null);
+      intervalDisplay.textContent = "Timer finished";
+      document.querySelector(
+        ".reload-status"
+      ).textContent = `⏹ ${activeTimer.state.finishedReason}`;
+      return;
+    }
+
+    // Пауза: прогресс застывает на оставшемся времени
+    if (activeTimer.state.paused) {
+      const pausedSeconds = Math.ceil(
+        (activeTimer.state.remainingMs || 0) / 1000
+      );
+      updateStatus(
+        pausedSeconds,
+        activeTimer.state.currentActualInterval ||
+          activeTimer.settings.intervalSeconds ||
+          60
+      );
+      document.querySelector(
+        ".reload-status"
+      ).textContent = `⏸ Paused with ${formatTime(pausedSeconds)} left`;
       return;
     }
 
+    renderConditionStatus(tabState);
+
     const now = Date.now();
-    const remainingMs = activeTimer.state.nextReloadAt - now;
+    const remainingMs = tabState.nextReloadAt - now;
     const remainingSeconds = Math.max(0, Math.ceil(remainingMs / 1000));
 
     // Проверяем, не истек ли таймер
@@ -364,6 +1394,7 @@ const startStatusUpdates = async () => {
         {
           type: "resumeExpiredTimer",
           timerId: activeTimer.id,
+          drivenTabId: isDrivenTab ? activeTab.id : null,
         },
         () => {
           if (chrome.runtime.lastError) {
@@ -380,10 +1411,44 @@ const startStatusUpdates = async () => {
 
     // Используем реальный интервал для прогресс-бара
     const actualInterval =
-      activeTimer.state.currentActualInterval ||
+      tabState.currentActualInterval ||
       activeTimer.settings.intervalSeconds ||
       60;
     updateStatus(remainingSeconds, actualInterval);
+
+    // Для расписаний по часам показываем само расписание, а не интервал
+    const schedule = activeTimer.settings.schedule;
+    if (schedule && schedule.type === "cron") {
+      intervalDisplay.textContent = `Cron schedule: ${schedule.cron}`;
+    } else if (schedule && schedule.type === "aligned") {
+      intervalDisplay.textContent = `Every ${formatTime(
+        activeTimer.settings.intervalSeconds
+      )}, aligned to the clock`;
+    }
+
+    // Вне окна активных часов показываем, когда таймер проснётся
+    if (tabState.sleepingUntil > now) {
+      document.querySelector(
+        ".reload-status"
+      ).textContent = `💤 Paused until ${formatResumeTime(
+        tabState.sleepingUntil
+      )}`;
+    }
+
+    // Перезагрузка пропущена или отложена кнопками Skip next / Snooze
+    if (tabState.snoozed) {
+      document.querySelector(".reload-status").textContent = tabState.snoozed
+        .skipped
+        ? "⏭ Next reload skipped"
+        : `😴 Snoozed until ${formatResumeTime(tabState.snoozed.until)}`;
+    }
+
+    // Перезагрузка отложена, пока пользователь редактирует страницу
+    if (tabState.postponed) {
+      document.querySelector(
+        ".reload-status"
+      ).textContent = `✋ Reload postponed: ${tabState.postponed.reason}`;
+    }
   };
 
   await updateRemaining();
@@ -397,17 +1462,93 @@ const stopStatusUpdates = () => {
   }
 };
 
-// Запуск автообновления
-const startAutoReload = async () => {
-  const totalSeconds = getTimeInSeconds();
+// Показ предупреждения о конфликтах с подтверждением запуска
+const showConflictWarning = (conflicts, onConfirm) => {
+  conflictList.replaceChildren();
 
-  if (totalSeconds < 1) {
-    showError(true);
-    return;
+  for (const timer of conflicts.removed) {
+    const item = document.createElement("li");
+    item.textContent = `Will be removed: ${describeRule(timer.rule)}`;
+    conflictList.appendChild(item);
+  }
+  for (const timer of conflicts.shadowed) {
+    const item = document.createElement("li");
+    item.textContent = `Will be overridden: ${describeRule(timer.rule)}`;
+    conflictList.appendChild(item);
+  }
+
+  pendingConflictConfirm = onConfirm;
+  conflictWarning.classList.remove("hidden");
+  startBtn.disabled = true;
+};
+
+const hideConflictWarning = () => {
+  pendingConflictConfirm = null;
+  conflictWarning.classList.add("hidden");
+  conflictList.replaceChildren();
+};
+
+// Сохранение нового таймера: удаляем конфликтующие и планируем перезагрузку
+const commitNewTimer = async (newTimer, timersToRemove, activeTab) => {
+  for (const timer of timersToRemove) {
+    await removeTimer(timer.id);
+    // Отменяем их alarms
+    chrome.runtime.sendMessage({
+      type: "clearReload",
+      timerId: timer.id,
+    });
+  }
+
+  // Отсчёт начинается с момента фактического запуска (после подтверждения)
+  const startedTimer = getStartedTimer(newTimer);
+
+  await addTimer(startedTimer);
+  await saveLastTimerTemplate(startedTimer);
+  await saveUrlSettings(activeTab.url, getCurrentSettings());
+  setIconForTab(activeTab.id, true);
+
+  // Отправляем сообщение в background.js для создания таймера
+  chrome.runtime.sendMessage({
+    type: "scheduleReload",
+    timerId: startedTimer.id,
+    intervalSeconds: startedTimer.state.currentActualInterval,
+  });
+
+  // Обновляем UI
+  setInputsDisabled(true);
+  updateControls(startedTimer);
+
+  startStatusUpdates();
+};
+
+// Запуск автообновления
+const startAutoReload = async () => {
+  const schedule = getScheduleConfig();
+  if (!validateScheduleInputs(schedule)) {
+    return;
   }
 
   showError(false);
 
+  const watchConfig = getWatchConfig();
+  if (!watchConfig) {
+    // Само выражение подсвечено в редакторе правил
+    showError(true, "A watch rule has an invalid regular expression");
+    return;
+  }
+
+  const activeHoursConfig = getActiveHoursConfig();
+  if (!activeHoursConfig) {
+    showError(true, "Each active hours window needs at least one day");
+    return;
+  }
+
+  const stopConditions = getStopConditionsConfig();
+  if (stopConditions.endAt && stopConditions.endAt <= Date.now()) {
+    showError(true, "The stop time must be in the future");
+    return;
+  }
+
   const activeTab = await queryActiveTab();
   if (!activeTab || !isUrlEligible(activeTab.url)) {
     intervalDisplay.textContent = "Interval is not set";
@@ -416,124 +1557,190 @@ const startAutoReload = async () => {
     return;
   }
 
-  const allTimers = await getTimers();
-  const currentDomain = getDomainFromUrl(activeTab.url);
-  const isApplyToDomain = applyToDomainCheckbox.checked;
-
-  // ПРОАКТИВНАЯ ОЧИСТКА КОНФЛИКТОВ
-  const timersToRemove = [];
-
-  if (isApplyToDomain) {
-    // Запускается доменный таймер - удаляем все URL-таймеры этого домена
-    for (const [timerId, timer] of Object.entries(allTimers)) {
-      if (timer.rule.type === "url") {
-        const timerDomain = getDomainFromUrl(timer.rule.value);
-        if (timerDomain === currentDomain) {
-          timersToRemove.push(timerId);
-        }
-      }
-    }
-  } else {
-    // Запускается URL-таймер - удаляем другой URL-таймер с тем же URL
-    for (const [timerId, timer] of Object.entries(allTimers)) {
-      if (timer.rule.type === "url" && timer.rule.value === activeTab.url) {
-        timersToRemove.push(timerId);
-      }
-    }
-  }
-
-  // Удаляем конфликтующие таймеры
-  for (const timerId of timersToRemove) {
-    await removeTimer(timerId);
-    // Отменяем их alarms
-    chrome.runtime.sendMessage({
-      type: "clearReload",
-      timerId: timerId,
-    });
+  const rule = getRuleFromInputs(activeTab.url);
+  if (
+    !isValidRule(rule) ||
+    (rule.type !== "tab" && matchRule(rule, activeTab.url) === null)
+  ) {
+    showError(true, "The rule must match the current page");
+    return;
   }
 
   // Создаем новый таймер
-  const randomnessConfig = {
-    enabled: randomnessCheckbox.checked,
-    variationPercent: randomnessCheckbox.checked
-      ? parseInt(variationSlider.value)
-      : 0,
-    useNormalDistribution:
-      randomnessCheckbox.checked && normalDistCheckbox.checked,
+  const settings = {
+    intervalSeconds: getScheduleIntervalSeconds(schedule),
+    schedule,
+    randomness: getRandomnessConfig(schedule),
+    contentCheck: {
+      enabled: contentCheckbox.checked,
+      selector: contentCheckbox.checked ? contentSelector.value.trim() : "",
+    },
+    watch: watchConfig,
+    activeHours: activeHoursConfig,
+    editGuard: getEditGuardConfig(),
+    conditions: getConditionsConfig(),
+    stopConditions,
+    priority: parseInt(priorityInput.value) || 0,
+    adoption: adoptionSelect.value,
+    returnToStartUrl: rule.type === "tab" && returnToStartCheckbox.checked,
+    multiTab: getMultiTabConfig(),
+    sync: syncTimerCheckbox.checked,
   };
 
-  // Вычисляем первый интервал с учетом случайности
-  let firstInterval = totalSeconds;
-  if (randomnessConfig.enabled) {
-    const variation = totalSeconds * (randomnessConfig.variationPercent / 100);
-
-    if (randomnessConfig.useNormalDistribution) {
-      // Нормальное распределение
-      const sigma = variation / 2;
-      const u1 = Math.random();
-      const u2 = Math.random();
-      const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-      firstInterval = z0 * sigma + totalSeconds;
-    } else {
-      // Равномерное распределение
-      const minInterval = totalSeconds - variation;
-      const maxInterval = totalSeconds + variation;
-      firstInterval = minInterval + Math.random() * (maxInterval - minInterval);
-    }
+  // Первый интервал вычисляется с учетом расписания и случайности
+  const newTimer = createTimer(activeTab.id, rule, settings);
+
+  const allTimers = await getTimers();
+  const conflicts = analyzeConflicts(
+    allTimers,
+    newTimer,
+    activeTab.url,
+    conflictPolicy
+  );
+
+  if (conflicts.shadowedBy) {
+    // Новый таймер проиграет существующему и не будет работать на этой странице
+    showError(
+      true,
+      `Overridden by "${describeRule(
+        conflicts.shadowedBy.rule
+      )}" - raise the priority or stop it first`
+    );
+    return;
+  }
 
-    // Ограничиваем диапазон
-    firstInterval = Math.max(
-      1,
-      Math.min(totalSeconds * 2, Math.round(firstInterval))
+  if (conflicts.removed.length > 0 || conflicts.shadowed.length > 0) {
+    // Показываем, какие таймеры будут удалены или перекрыты, и ждём подтверждения
+    showConflictWarning(conflicts, () =>
+      commitNewTimer(newTimer, conflicts.removed, activeTab)
     );
+    return;
   }
 
-  const nextReloadAt = Date.now() + firstInterval * 1000;
+  await commitNewTimer(newTimer, conflicts.removed, activeTab);
+};
 
-  const newTimer = {
-    id: generateUUID(),
-    tabId: activeTab.id,
-    createdAt: Date.now(),
-    rule: {
-      type: isApplyToDomain ? "domain" : "url",
-      value: isApplyToDomain ? currentDomain : activeTab.url,
-    },
-    settings: {
-      intervalSeconds: totalSeconds,
-      randomness: randomnessConfig,
-    },
-    state: {
-      nextReloadAt,
-      currentActualInterval: firstInterval,
-    },
-  };
+// Пауза: замораживаем оставшееся время и снимаем alarm/timeout
+const pauseAutoReload = async (timer) => {
+  await updateTimer(timer.id, { state: getPausedState(timer) });
 
-  await addTimer(newTimer);
-  setIconForTab(activeTab.id, true);
+  chrome.runtime.sendMessage({
+    type: "clearReload",
+    timerId: timer.id,
+  });
+};
+
+// Возобновление: планируем перезагрузку на замороженный остаток.
+// Таймер, завершённый условием остановки, начинает отсчёт условий заново
+const resumeAutoReload = async (timer) => {
+  const now = Date.now();
+  const state = getResumedState(timer, now);
+  if (!state) {
+    showError(true, "The stop time has already passed");
+    return;
+  }
+
+  await updateTimer(timer.id, { state });
 
-  // Отправляем сообщение в background.js для создания таймера
   chrome.runtime.sendMessage({
     type: "scheduleReload",
-    timerId: newTimer.id,
-    intervalSeconds: firstInterval,
+    timerId: timer.id,
+    intervalSeconds: Math.ceil((state.nextReloadAt - now) / 1000),
   });
+};
 
-  // Сохраняем настройки UI
-  // Обновляем UI
-  setInputsDisabled(true);
-  startBtn.disabled = true;
-  stopBtn.disabled = false;
+// Переключение паузы для таймера текущей вкладки
+const togglePause = async () => {
+  const activeTab = await queryActiveTab();
+  if (!activeTab || !isUrlEligible(activeTab.url)) return;
 
-  startStatusUpdates();
+  const allTimers = await getTimers();
+  const activeTimer = findActiveTimerForUrl(
+    allTimers,
+    activeTab.url,
+    conflictPolicy,
+    activeTab.id
+  );
+
+  if (!activeTimer) return;
+
+  showError(false);
+  if (!activeTimer.tabId) {
+    // Привязываем сохранённый таймер к текущей вкладке
+    await new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { type: "adoptTimer", timerId: activeTimer.id, tabId: activeTab.id },
+        resolve
+      );
+    });
+  } else if (activeTimer.state.paused) {
+    await resumeAutoReload(activeTimer);
+  } else {
+    await pauseAutoReload(activeTimer);
+  }
+
+  stopStatusUpdates();
+  await loadState();
+};
+
+// Длительность "Snooze" из поля ввода (секунды)
+const getSnoozeSeconds = () =>
+  Math.max(1, parseInt(snoozeMinutesInput.value) || 10) * 60;
+
+// Отправить действие с перезагрузкой в background (reloadNow, skipNextReload,
+// snoozeReload); drivenTabId - для дополнительной вкладки правила
+const sendReloadAction = (type, timerId, drivenTabId = null, extra = {}) =>
+  new Promise((resolve) => {
+    chrome.runtime.sendMessage(
+      { type, timerId, drivenTabId, ...extra },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          console.error(`${type} failed:`, chrome.runtime.lastError);
+        }
+        resolve(response);
+      }
+    );
+  });
+
+// Действие с ближайшей перезагрузкой текущей вкладки
+const runReloadAction = async (type, extra = {}) => {
+  const activeTab = await queryActiveTab();
+  if (!activeTab || !isUrlEligible(activeTab.url)) return;
+
+  const activeTimer = findActiveTimerForUrl(
+    await getTimers(),
+    activeTab.url,
+    conflictPolicy,
+    activeTab.id
+  );
+  if (!activeTimer) return;
+
+  const isDrivenTab =
+    activeTimer.tabId !== activeTab.id &&
+    Boolean(getTabReloadState(activeTimer, activeTab.id));
+  await sendReloadAction(
+    type,
+    activeTimer.id,
+    isDrivenTab ? activeTab.id : null,
+    extra
+  );
+
+  stopStatusUpdates();
+  await loadState();
 };
 
-// Остановка автообновления
+// Удаление таймера (после подтверждения)
 const stopAutoReload = async () => {
   const activeTab = await queryActiveTab();
   if (!activeTab || !isUrlEligible(activeTab.url)) return;
 
   const allTimers = await getTimers();
-  const activeTimer = findActiveTimerForUrl(allTimers, activeTab.url);
+  const activeTimer = findActiveTimerForUrl(
+    allTimers,
+    activeTab.url,
+    conflictPolicy,
+    activeTab.id
+  );
 
   if (!activeTimer) return;
 
@@ -550,15 +1757,187 @@ const stopAutoReload = async () => {
 
   // Обновляем UI
   setInputsDisabled(false);
-  startBtn.disabled = false;
-  stopBtn.disabled = true;
+  updateControls(null);
 
   stopStatusUpdates();
   updateStatus(null);
+  renderContentStatus(null);
+  renderWatchStatus(null);
+  renderStopProgress(null);
+  renderConditionStatus(null);
+  renderDrivenTabs(null);
+};
+
+// Начать редактирование запущенного таймера текущей вкладки
+const startEditing = async () => {
+  const activeTab = await queryActiveTab();
+  if (!activeTab || !isUrlEligible(activeTab.url)) return;
+
+  const activeTimer = findActiveTimerForUrl(
+    await getTimers(),
+    activeTab.url,
+    conflictPolicy,
+    activeTab.id
+  );
+  if (!activeTimer || !activeTimer.tabId) return;
+
+  editingTimerId = activeTimer.id;
+  deleteConfirm.classList.add("hidden");
+  editBar.classList.remove("hidden");
+  setEditableInputsDisabled(false);
+  updateControls(activeTimer);
+};
+
+// Завершить редактирование (поля заново заполнит loadState)
+const stopEditing = () => {
+  editingTimerId = null;
+  editBar.classList.add("hidden");
+  hideConflictWarning();
+};
+
+// Сохранить изменения таймера: id, createdAt и история синхронизации не меняются.
+// applyNow - перепланировать перезагрузку с новым интервалом сразу,
+// иначе новые настройки вступят в силу после следующей перезагрузки
+const commitTimerEdit = async (timer, updates, timersToRemove, applyNow) => {
+  for (const removedTimer of timersToRemove) {
+    await removeTimer(removedTimer.id);
+    chrome.runtime.sendMessage({
+      type: "clearReload",
+      timerId: removedTimer.id,
+    });
+  }
+
+  // Пока пользователь подтверждал конфликт, background мог записать
+  // состояние таймера - берём свежее и меняем только правку и расписание
+  const current = (await getTimers())[timer.id];
+  if (current) {
+    const { state } = current;
+    const interval = calculateNextInterval(updates.settings);
+    const isFinished = state.paused && state.finishedReason;
+
+    if (applyNow && state.paused && !isFinished) {
+      // На паузе только заменяем замороженный остаток
+      updates.state = {
+        ...state,
+        currentActualInterval: interval,
+        remainingMs: interval * 1000,
+      };
+    } else if (applyNow && !state.paused) {
+      updates.state = {
+        ...state,
+        nextReloadAt: Date.now() + interval * 1000,
+        currentActualInterval: interval,
+        sleepingUntil: null,
+        postponed: null,
+      };
+    }
+
+    await updateTimer(timer.id, updates);
+
+    if (applyNow && !state.paused) {
+      chrome.runtime.sendMessage({
+        type: "scheduleReload",
+        timerId: timer.id,
+        intervalSeconds: interval,
+      });
+    }
+  }
+
+  stopEditing();
+  stopStatusUpdates();
+  await loadState();
+};
+
+// Применить изменения расписания, случайности и области действия
+const applyTimerEdit = async (applyNow) => {
+  const activeTab = await queryActiveTab();
+  const allTimers = await getTimers();
+  const timer = allTimers[editingTimerId];
+
+  if (!activeTab || !isUrlEligible(activeTab.url) || !timer) {
+    stopEditing();
+    stopStatusUpdates();
+    await loadState();
+    return;
+  }
+
+  const schedule = getScheduleConfig();
+  if (!validateScheduleInputs(schedule)) {
+    return;
+  }
+  showError(false);
+
+  // Правило "tab" сохраняет свой стартовый URL
+  const rule =
+    ruleTypeSelect.value === "tab" && timer.rule.type === "tab"
+      ? timer.rule
+      : getRuleFromInputs(activeTab.url);
+  if (
+    !isValidRule(rule) ||
+    (rule.type !== "tab" && matchRule(rule, activeTab.url) === null)
+  ) {
+    showError(true, "The rule must match the current page");
+    return;
+  }
+  if (rule.type === "tab" && timer.tabId !== activeTab.id) {
+    showError(true, "Open the timer's own tab to bind the rule to it");
+    return;
+  }
+
+  const settings = {
+    ...timer.settings,
+    intervalSeconds: getScheduleIntervalSeconds(schedule),
+    schedule,
+    randomness: getRandomnessConfig(schedule),
+    returnToStartUrl: rule.type === "tab" && returnToStartCheckbox.checked,
+    sync: syncTimerCheckbox.checked,
+  };
+  const updates = { rule, settings };
+
+  // Конфликты возможны только при смене правила (или интервала при политике
+  // "shortest"); сам таймер в анализе не участвует
+  const affectsConflicts =
+    JSON.stringify(rule) !== JSON.stringify(timer.rule) ||
+    (conflictPolicy === "shortest" &&
+      settings.intervalSeconds !== timer.settings.intervalSeconds);
+  if (!affectsConflicts) {
+    await commitTimerEdit(timer, updates, [], applyNow);
+    return;
+  }
+
+  const otherTimers = Object.fromEntries(
+    Object.entries(allTimers).filter(([timerId]) => timerId !== timer.id)
+  );
+  const conflicts = analyzeConflicts(
+    otherTimers,
+    { ...timer, ...updates },
+    activeTab.url,
+    conflictPolicy
+  );
+
+  if (conflicts.shadowedBy) {
+    showError(
+      true,
+      `Overridden by "${describeRule(
+        conflicts.shadowedBy.rule
+      )}" - raise the priority or stop it first`
+    );
+    return;
+  }
+
+  if (conflicts.removed.length > 0 || conflicts.shadowed.length > 0) {
+    showConflictWarning(conflicts, () =>
+      commitTimerEdit(timer, updates, conflicts.removed, applyNow)
+    );
+    return;
+  }
+
+  await commitTimerEdit(timer, updates, [], applyNow);
 };
 
 // Загрузка текущего состояния
 const loadState = async () => {
+  hideConflictWarning();
   const activeTab = await queryActiveTab();
 
   if (!activeTab || !isUrlEligible(activeTab.url)) {
@@ -566,101 +1945,131 @@ const loadState = async () => {
     document.querySelector(".reload-status").textContent =
       "⚠️ Not available for this page";
     setInputsDisabled(true);
+    updateControls(null);
     startBtn.disabled = true;
-    stopBtn.disabled = true;
     return;
   }
 
   currentTabId = activeTab.id;
 
   const allTimers = await getTimers();
-  const activeTimer = findActiveTimerForUrl(allTimers, activeTab.url);
+  const activeTimer = findActiveTimerForUrl(
+    allTimers,
+    activeTab.url,
+    conflictPolicy,
+    activeTab.id
+  );
   const isEnabled = Boolean(activeTimer);
 
+  // Таймер редактируется - не затираем изменения в полях
+  if (editingTimerId) {
+    if (isEnabled && activeTimer.id === editingTimerId) {
+      updateControls(activeTimer);
+      stopStatusUpdates();
+      startStatusUpdates();
+      return;
+    }
+    stopEditing();
+  }
+
   if (isEnabled) {
     // Таймер активен - показываем состояние
-    const intervalSeconds = activeTimer.settings.intervalSeconds || 60;
-    const hours = Math.floor(intervalSeconds / 3600);
-    const minutes = Math.floor((intervalSeconds % 3600) / 60);
-    const seconds = intervalSeconds % 60;
-
-    hoursInput.value = hours || "";
-    minutesInput.value = minutes || "";
-    secondsInput.value = seconds || "";
+    applyIntervalSeconds(activeTimer.settings.intervalSeconds || 60);
 
-    // Синхронизируем ползунок
-    const position = secondsToPosition(intervalSeconds);
-    timeSlider.value = Math.min(100, Math.max(0, position));
-    updateSliderDisplay(parseFloat(timeSlider.value));
+    // Загружаем расписание
+    applyScheduleConfig(activeTimer.settings.schedule);
 
     // Загружаем настройки случайности
-    if (
-      activeTimer.settings.randomness &&
-      activeTimer.settings.randomness.enabled
-    ) {
-      randomnessCheckbox.checked = true;
-      randomnessControls.classList.remove("hidden");
-      variationSlider.value =
-        activeTimer.settings.randomness.variationPercent || 15;
-      variationValue.textContent = `±${variationSlider.value}%`;
-
-      if (activeTimer.settings.randomness.useNormalDistribution) {
-        normalDistCheckbox.checked = true;
-        normalDistInfo.classList.remove("hidden");
-        uniformRange.style.display = "none";
-      } else {
-        normalDistCheckbox.checked = false;
-        normalDistInfo.classList.add("hidden");
-        uniformRange.style.display = "block";
-      }
+    applyRandomnessConfig(activeTimer.settings.randomness);
 
-      updateRandomnessRanges();
-    } else {
-      randomnessCheckbox.checked = false;
-      randomnessControls.classList.add("hidden");
-    }
+    // Загружаем правила наблюдения
+    applyWatchConfig(activeTimer.settings.watch);
+
+    // Загружаем активные часы
+    applyActiveHoursConfig(activeTimer.settings.activeHours);
+
+    // Загружаем отсрочку при редактировании
+    applyEditGuardConfig(activeTimer.settings.editGuard);
+
+    // Загружаем условия перезагрузки
+    applyConditionsConfig(activeTimer.settings.conditions);
+
+    // Загружаем условия остановки
+    applyStopConditionsConfig(activeTimer.settings.stopConditions);
+
+    // Загружаем настройки отслеживания содержимого
+    const contentCheck = activeTimer.settings.contentCheck;
+    contentCheckbox.checked = Boolean(contentCheck && contentCheck.enabled);
+    contentSelector.value = (contentCheck && contentCheck.selector) || "";
+    contentControls.classList.toggle("hidden", !contentCheckbox.checked);
 
     // Загружаем настройку домена
-    applyToDomainCheckbox.checked = activeTimer.rule.type === "domain";
-    updateDomainHint();
+    ruleTypeSelect.value = activeTimer.rule.type;
+    ruleValueInput.value = activeTimer.rule.value;
+    priorityInput.value = activeTimer.settings.priority || 0;
+    adoptionSelect.value = activeTimer.settings.adoption || "auto";
+    syncTimerCheckbox.checked = isTimerSynced(activeTimer);
+    returnToStartCheckbox.checked = Boolean(
+      activeTimer.settings.returnToStartUrl
+    );
+    applyNormalizeConfig(activeTimer.rule.normalize);
+    applyMultiTabConfig(activeTimer.settings.multiTab);
+    updateRuleEditor();
 
     setInputsDisabled(true);
-    startBtn.disabled = true;
-    stopBtn.disabled = false;
+    updateControls(activeTimer);
+
+    // Редактирование, запрошенное из панели таймеров
+    if (pendingEditTimerId === activeTimer.id) {
+      pendingEditTimerId = null;
+      startEditing();
+    }
 
     startStatusUpdates();
   } else {
     // Таймер не активен - устанавливаем значения по умолчанию
     // По умолчанию: 5 минут
-    const defaultSeconds = 300; // 5 минут
-    const hours = Math.floor(defaultSeconds / 3600);
-    const minutes = Math.floor((defaultSeconds % 3600) / 60);
-    const seconds = defaultSeconds % 60;
-
-    hoursInput.value = hours || "";
-    minutesInput.value = minutes || "";
-    secondsInput.value = seconds || "";
-
-    // Синхронизируем ползунок с дефолтным значением
-    const position = secondsToPosition(defaultSeconds);
-    timeSlider.value = Math.min(100, Math.max(0, position));
-    updateSliderDisplay(parseFloat(timeSlider.value));
-
-    randomnessCheckbox.checked = false;
-    randomnessControls.classList.add("hidden");
-    normalDistCheckbox.checked = false;
-    normalDistInfo.classList.add("hidden");
-    uniformRange.style.display = "block";
-    applyToDomainCheckbox.checked = false;
+    applyIntervalSeconds(300);
+    applyScheduleConfig(null);
+    applyRandomnessConfig(null);
+    applyWatchConfig(null);
+    applyActiveHoursConfig(null);
+    applyEditGuardConfig(DEFAULT_EDIT_GUARD);
+    applyConditionsConfig(null);
+    applyStopConditionsConfig(null);
+    contentCheckbox.checked = false;
+    contentSelector.value = "";
+    contentControls.classList.add("hidden");
+    ruleTypeSelect.value = "url";
+    ruleValueInput.value = "";
+    priorityInput.value = 0;
+    adoptionSelect.value = "auto";
+    syncTimerCheckbox.checked = syncNewTimers;
+    returnToStartCheckbox.checked = false;
+    applyNormalizeConfig(null);
+    applyMultiTabConfig(null);
+
+    // Последние настройки для этой страницы или домена
+    const urlSettings = await getUrlSettings(activeTab.url);
+    if (urlSettings) {
+      applyUrlSettings(urlSettings, activeTab.url);
+    }
 
-    updateDomainHint();
+    updateRuleEditor();
     setInputsDisabled(false);
-    startBtn.disabled = false;
-    stopBtn.disabled = true;
+    updateControls(null);
     updateStatus(null);
+    renderContentStatus(null);
+    renderWatchStatus(null);
+    renderStopProgress(null);
+    renderConditionStatus(null);
+    renderDrivenTabs(null);
   }
 
-  setIconForTab(activeTab.id, isEnabled);
+  setIconForTab(
+    activeTab.id,
+    isEnabled && !activeTimer.state.paused && Boolean(activeTimer.tabId)
+  );
 };
 
 // Валидация ввода - только цифры
@@ -674,6 +2083,7 @@ const validateInput = (input) => {
   showError(false);
   syncSliderWithInputs();
   updateRandomnessRanges();
+  updateSchedulePreview();
 };
 
 // События
@@ -690,52 +2100,237 @@ timeSlider.addEventListener("input", () => {
   updateSliderDisplay(position);
   applySliderValueToInputs(position);
   updateRandomnessRanges();
+  updateSchedulePreview();
 });
 
-// Обновление подсказки домена
-const updateDomainHint = async () => {
-  const activeTab = await queryActiveTab();
-  if (activeTab && isUrlEligible(activeTab.url)) {
-    const domain = getDomainFromUrl(activeTab.url);
-    if (applyToDomainCheckbox.checked && domain) {
-      domainHint.textContent = `Will reload anywhere on ${domain}`;
-    } else {
-      domainHint.textContent = "";
+// Обработчики выбора расписания
+scheduleTypeSelect.addEventListener("change", () => {
+  showError(false);
+  updateScheduleControls();
+});
+
+cronInput.addEventListener("input", () => {
+  showError(false);
+  updateSchedulePreview();
+});
+cronInput.addEventListener("keydown", handleEnterKey);
+
+alignOffsetInput.addEventListener("change", updateSchedulePreview);
+
+// Значение правила по умолчанию для выбранного типа и текущего URL
+const getDefaultRuleValue = (type, url) => {
+  const domain = getDomainFromUrl(url);
+  if (!domain) return "";
+
+  const urlObj = new URL(url);
+  const directory = urlObj.pathname.replace(/[^/]*$/, "");
+
+  switch (type) {
+    case "subdomain": {
+      // app.example.com → *.example.com
+      const labels = domain.split(".");
+      const baseDomain = labels.length > 2 ? labels.slice(1).join(".") : domain;
+      return `*.${baseDomain}`;
     }
+    case "prefix":
+      return `${urlObj.origin}${directory}`;
+    case "glob":
+      return `${urlObj.origin}${directory}*`;
+    case "regex":
+      return `^${escapeRegExp(urlObj.origin)}/`;
+    default:
+      return "";
   }
 };
 
-// Обработчик чекбокса применения к домену
-applyToDomainCheckbox.addEventListener("change", () => {
-  updateDomainHint();
-});
+// Типы правил, значение которых берётся из текущего URL без редактирования
+const isFixedRuleType = (type) =>
+  type === "url" || type === "domain" || type === "tab";
 
-// Обработчик чекбокса случайности
-randomnessCheckbox.addEventListener("change", () => {
-  if (randomnessCheckbox.checked) {
-    randomnessControls.classList.remove("hidden");
-    updateRandomnessRanges();
+// Опции нормализации URL из редактора (null - ни одна не включена)
+const getNormalizeConfig = () => {
+  const normalize = {};
+  if (ignoreFragmentCheckbox.checked) normalize.ignoreFragment = true;
+  if (ignoreQueryCheckbox.checked) {
+    normalize.ignoreQuery = true;
   } else {
-    randomnessControls.classList.add("hidden");
-    normalDistCheckbox.checked = false;
-    normalDistInfo.classList.add("hidden");
-    uniformRange.style.display = "block";
+    const params = ignoreParamsInput.value
+      .split(",")
+      .map((param) => param.trim())
+      .filter(Boolean);
+    if (params.length > 0) normalize.ignoreParams = params;
   }
-});
+  if (caseInsensitivePathCheckbox.checked) {
+    normalize.caseInsensitivePath = true;
+  }
+  if (ignoreTrailingSlashCheckbox.checked) {
+    normalize.ignoreTrailingSlash = true;
+  }
+  return Object.keys(normalize).length > 0 ? normalize : null;
+};
 
-// Обработчик слайдера вариации
-variationSlider.addEventListener("input", () => {
-  const value = variationSlider.value;
-  variationValue.textContent = `±${value}%`;
-  updateRandomnessRanges();
-});
+// Заполнить опции нормализации URL
+const applyNormalizeConfig = (normalize) => {
+  const config = normalize || {};
+  ignoreFragmentCheckbox.checked = Boolean(config.ignoreFragment);
+  ignoreQueryCheckbox.checked = Boolean(config.ignoreQuery);
+  ignoreParamsInput.value = (config.ignoreParams || []).join(", ");
+  caseInsensitivePathCheckbox.checked = Boolean(config.caseInsensitivePath);
+  ignoreTrailingSlashCheckbox.checked = Boolean(config.ignoreTrailingSlash);
+};
 
-// Обработчик чекбокса нормального распределения
-normalDistCheckbox.addEventListener("change", () => {
-  if (normalDistCheckbox.checked) {
-    normalDistInfo.classList.remove("hidden");
-    uniformRange.style.display = "none";
-  } else {
+// Собрать правило из редактора (для "tab" значение - стартовый URL вкладки)
+const getRuleFromInputs = (url) => {
+  const type = ruleTypeSelect.value;
+  if (type === "url") {
+    const normalize = getNormalizeConfig();
+    return normalize ? { type, value: url, normalize } : { type, value: url };
+  }
+  if (type === "tab") return { type, value: url };
+  if (type === "domain") return { type, value: getDomainFromUrl(url) };
+  return { type, value: ruleValueInput.value.trim() };
+};
+
+// Подсказки для типов правил
+const RULE_HINTS = {
+  url: "",
+  tab: "Follows this tab wherever it navigates, even after a browser restart",
+  domain: "Will reload anywhere on {domain}",
+  subdomain: "Will reload on the domain and all of its subdomains",
+  prefix: "Will reload every URL that starts with this text",
+  glob: "* matches any characters, ? matches exactly one",
+  regex: "JavaScript regular expression tested against the full URL",
+};
+
+// Обновление редактора правила: поле значения, подсказка и индикатор совпадения
+const updateRuleEditor = async () => {
+  const type = ruleTypeSelect.value;
+  ruleValueInput.classList.toggle("hidden", isFixedRuleType(type));
+  returnToStartRow.classList.toggle("hidden", type !== "tab");
+  syncTimerCheckbox.title =
+    type === "tab" ? "Tab-bound timers stay on this device" : "";
+  normalizeControls.classList.toggle("hidden", type !== "url");
+
+  const activeTab = await queryActiveTab();
+  if (!activeTab || !isUrlEligible(activeTab.url)) {
+    domainHint.textContent = "";
+    ruleMatchIndicator.textContent = "";
+    return;
+  }
+
+  const domain = getDomainFromUrl(activeTab.url);
+  domainHint.textContent = RULE_HINTS[type].replace("{domain}", domain);
+
+  if (isFixedRuleType(type)) {
+    ruleMatchIndicator.textContent = "";
+    return;
+  }
+
+  const rule = getRuleFromInputs(activeTab.url);
+  const matches = isValidRule(rule) && matchRule(rule, activeTab.url) !== null;
+
+  if (!isValidRule(rule)) {
+    ruleMatchIndicator.textContent = rule.value
+      ? "⚠️ Invalid pattern"
+      : "⚠️ Enter a pattern";
+  } else {
+    ruleMatchIndicator.textContent = matches
+      ? "✓ Matches the current tab"
+      : "✗ Does not match the current tab";
+  }
+  ruleMatchIndicator.classList.toggle("matches", matches);
+};
+
+// Обработчики редактора правила
+ruleTypeSelect.addEventListener("change", async () => {
+  // Правило "tab" не синхронизируется - чекбокс недоступен
+  const tabBound = ruleTypeSelect.value === "tab";
+  syncTimerCheckbox.disabled = tabBound;
+  syncTimerCheckbox.checked = !tabBound && syncNewTimers;
+
+  const activeTab = await queryActiveTab();
+  if (activeTab && isUrlEligible(activeTab.url)) {
+    ruleValueInput.value = getDefaultRuleValue(
+      ruleTypeSelect.value,
+      activeTab.url
+    );
+  }
+  updateRuleEditor();
+});
+
+ruleValueInput.addEventListener("input", () => {
+  showError(false);
+  updateRuleEditor();
+});
+ruleValueInput.addEventListener("keydown", handleEnterKey);
+
+// Обработчик чекбокса случайности
+randomnessCheckbox.addEventListener("change", () => {
+  if (randomnessCheckbox.checked) {
+    randomnessControls.classList.remove("hidden");
+    updateRandomnessRanges();
+  } else {
+    randomnessControls.classList.add("hidden");
+    normalDistCheckbox.checked = false;
+    normalDistInfo.classList.add("hidden");
+    uniformRange.style.display = "block";
+  }
+});
+
+// Обработчик слайдера вариации
+variationSlider.addEventListener("input", () => {
+  const value = variationSlider.value;
+  variationValue.textContent = `±${value}%`;
+  updateRandomnessRanges();
+});
+
+// Обработчики секции правил наблюдения
+watchCheckbox.addEventListener("change", () => {
+  watchControls.classList.toggle("hidden", !watchCheckbox.checked);
+});
+
+addWatchRuleBtn.addEventListener("click", () => {
+  watchRules.push(createWatchRule());
+  renderWatchRules();
+});
+
+ignoreQueryCheckbox.addEventListener("change", () => {
+  ignoreParamsInput.disabled = ignoreQueryCheckbox.checked;
+});
+
+// Обработчики секции активных часов
+multiTabCheckbox.addEventListener("change", () => {
+  multiTabControls.classList.toggle("hidden", !multiTabCheckbox.checked);
+});
+
+editGuardCheckbox.addEventListener("change", () => {
+  editGuardControls.classList.toggle("hidden", !editGuardCheckbox.checked);
+});
+
+stopCheckbox.addEventListener("change", () => {
+  stopControls.classList.toggle("hidden", !stopCheckbox.checked);
+});
+
+activeHoursCheckbox.addEventListener("change", () => {
+  activeHoursControls.classList.toggle("hidden", !activeHoursCheckbox.checked);
+});
+
+addActiveWindowBtn.addEventListener("click", () => {
+  activeWindows.push(createActiveWindow());
+  renderActiveWindows();
+});
+
+// Обработчик чекбокса отслеживания содержимого
+contentCheckbox.addEventListener("change", () => {
+  contentControls.classList.toggle("hidden", !contentCheckbox.checked);
+});
+
+// Обработчик чекбокса нормального распределения
+normalDistCheckbox.addEventListener("change", () => {
+  if (normalDistCheckbox.checked) {
+    normalDistInfo.classList.remove("hidden");
+    uniformRange.style.display = "none";
+  } else {
     normalDistInfo.classList.add("hidden");
     uniformRange.style.display = "block";
   }
@@ -750,14 +2345,957 @@ minutesInput.addEventListener("keydown", handleEnterKey);
 secondsInput.addEventListener("keydown", handleEnterKey);
 
 startBtn.addEventListener("click", startAutoReload);
-stopBtn.addEventListener("click", stopAutoReload);
+pauseBtn.addEventListener("click", togglePause);
 
-// Инициализация
-loadState().then(() => {
-  // Показываем popup после загрузки состояния
-  document.body.classList.add("loaded");
+// Удаление таймера - только после явного подтверждения
+deleteBtn.addEventListener("click", () => {
+  deleteConfirm.classList.remove("hidden");
+});
+
+deleteConfirmBtn.addEventListener("click", async () => {
+  deleteConfirm.classList.add("hidden");
+  await stopAutoReload();
+});
+
+deleteCancelBtn.addEventListener("click", () => {
+  deleteConfirm.classList.add("hidden");
+});
+
+// Управление ближайшей перезагрузкой
+reloadNowBtn.addEventListener("click", () => runReloadAction("reloadNow"));
+skipNextBtn.addEventListener("click", () => runReloadAction("skipNextReload"));
+snoozeBtn.addEventListener("click", () =>
+  runReloadAction("snoozeReload", { snoozeSeconds: getSnoozeSeconds() })
+);
+
+// Редактирование запущенного таймера
+editBtn.addEventListener("click", startEditing);
+applyNowBtn.addEventListener("click", () => applyTimerEdit(true));
+applyLaterBtn.addEventListener("click", () => applyTimerEdit(false));
+
+editCancelBtn.addEventListener("click", async () => {
+  stopEditing();
+  showError(false);
+  stopStatusUpdates();
+  await loadState();
+});
+
+// Подтверждение/отмена запуска при конфликтах
+conflictConfirmBtn.addEventListener("click", async () => {
+  const confirm = pendingConflictConfirm;
+  hideConflictWarning();
+  if (confirm) {
+    await confirm();
+  }
 });
 
+conflictCancelBtn.addEventListener("click", () => {
+  hideConflictWarning();
+  startBtn.disabled = false;
+});
+
+// Описание расписания таймера для панели таймеров
+const describeTimerSchedule = (settings) => {
+  const schedule = settings.schedule;
+  if (schedule && schedule.type === "cron") {
+    return `Cron ${schedule.cron}`;
+  }
+
+  const text = `Every ${formatTime(settings.intervalSeconds)}`;
+  if (schedule && schedule.type === "aligned") {
+    return `${text}, aligned to the clock`;
+  }
+
+  const randomness = settings.randomness;
+  if (randomness && randomness.enabled) {
+    return `${text} ±${randomness.variationPercent}%${
+      randomness.useNormalDistribution ? " (normal)" : ""
+    }`;
+  }
+  return text;
+};
+
+// Статус таймера: работает, на паузе, завершён, без вкладки или перекрыт
+const getDashboardStatus = (timer, allTimers, tabsById) => {
+  if (timer.state.paused && timer.state.finishedReason) {
+    return { key: "finished", text: `Finished: ${timer.state.finishedReason}` };
+  }
+  if (timer.state.paused) {
+    return { key: "paused", text: "Paused" };
+  }
+
+  const tab = tabsById.get(timer.tabId);
+  if (!tab) {
+    return { key: "no-tab", text: "No tab" };
+  }
+
+  const winner = findActiveTimerForUrl(
+    allTimers,
+    tab.url,
+    conflictPolicy,
+    tab.id
+  );
+  if (winner && winner.id !== timer.id) {
+    return {
+      key: "shadowed",
+      text: `Shadowed by ${describeRule(winner.rule)}`,
+    };
+  }
+  return { key: "running", text: "Running" };
+};
+
+// Оставшееся до перезагрузки время основной вкладки таймера
+const getDashboardCountdown = (timer, now) => {
+  if (timer.state.paused) {
+    return timer.state.finishedReason
+      ? ""
+      : `⏸ ${formatTime(Math.ceil((timer.state.remainingMs || 0) / 1000))}`;
+  }
+  if (!timer.tabId || !timer.state.nextReloadAt) {
+    return "";
+  }
+  if (timer.state.sleepingUntil > now) {
+    return `💤 ${formatResumeTime(timer.state.sleepingUntil)}`;
+  }
+  return formatTime(
+    Math.max(0, Math.ceil((timer.state.nextReloadAt - now) / 1000))
+  );
+};
+
+// Переключиться на вкладку и её окно
+const focusTab = (tab) => {
+  chrome.tabs.update(tab.id, { active: true });
+  chrome.windows.update(tab.windowId, { focused: true });
+};
+
+// Кнопка действия в строке панели таймеров
+const createDashboardAction = (label, title, onClick, disabled = false) => {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "btn-small";
+  button.textContent = label;
+  button.title = title;
+  button.disabled = disabled;
+  button.addEventListener("click", async () => {
+    button.disabled = true;
+    await onClick();
+    stopStatusUpdates();
+    await loadState();
+    await renderDashboard();
+  });
+  return button;
+};
+
+// Удалить таймер из панели таймеров (та же очистка, что в stopAutoReload)
+const deleteTimerFromDashboard = async (timerId) => {
+  await removeTimer(timerId);
+  chrome.runtime.sendMessage({ type: "clearReload", timerId });
+};
+
+// Строка панели таймеров
+// Значки состояния синхронизации таймера
+const SYNC_STATE_ICONS = {
+  local: { icon: "💻", title: "This device only" },
+  synced: { icon: "☁️", title: "Synced to other devices" },
+  pending: { icon: "⏫", title: "Waiting to upload" },
+  conflict: {
+    icon: "⚠️",
+    title: "Changed on two devices - the newer copy was kept",
+  },
+};
+
+const createDashboardRow = (timer, allTimers, tabsById, syncState) => {
+  const tab = tabsById.get(timer.tabId);
+  const status = getDashboardStatus(timer, allTimers, tabsById);
+  const extraTabs = getDrivenTabIds(timer).length - 1;
+
+  const row = document.createElement("li");
+  row.className = "dashboard-row";
+  row.dataset.timerId = timer.id;
+  row.classList.toggle("current", Boolean(tab) && tab.id === currentTabId);
+
+  const head = document.createElement("div");
+  head.className = "dashboard-row-head";
+  const syncIcon = document.createElement("span");
+  syncIcon.className = "dashboard-sync";
+  syncIcon.textContent = SYNC_STATE_ICONS[syncState].icon;
+  syncIcon.title = SYNC_STATE_ICONS[syncState].title;
+  const select = document.createElement("input");
+  select.type = "checkbox";
+  select.className = "dashboard-select";
+  select.title = "Select for export";
+  select.checked = selectedTimerIds.has(timer.id);
+  if (!isTimerExportable(timer)) {
+    select.disabled = true;
+    select.title = "Tab-bound timers can't be exported";
+  }
+  select.addEventListener("change", () => {
+    if (select.checked) {
+      selectedTimerIds.add(timer.id);
+    } else {
+      selectedTimerIds.delete(timer.id);
+    }
+    updateExportButton();
+  });
+  const rule = document.createElement("span");
+  rule.className = "dashboard-rule";
+  rule.append(select, syncIcon, describeRule(timer.rule));
+  const countdown = document.createElement("span");
+  countdown.className = "dashboard-countdown";
+  countdown.textContent = getDashboardCountdown(timer, Date.now());
+  head.append(rule, countdown);
+
+  const schedule = document.createElement("div");
+  schedule.className = "dashboard-details";
+  schedule.textContent = describeTimerSchedule(timer.settings);
+
+  const tabInfo = document.createElement("div");
+  tabInfo.className = "dashboard-details";
+  tabInfo.textContent = tab
+    ? `Tab: ${tab.title || tab.url}${
+        extraTabs > 0 ? ` (+${extraTabs} more)` : ""
+      }`
+    : "Tab: none";
+
+  const statusBadge = document.createElement("span");
+  statusBadge.className = `dashboard-status ${status.key}`;
+  statusBadge.textContent = status.text;
+
+  const actions = document.createElement("div");
+  actions.className = "dashboard-actions";
+
+  // Таймер без вкладки с правилом на конкретную страницу можно открыть заново
+  const canOpenPage =
+    !tab && (timer.rule.type === "url" || timer.rule.type === "tab");
+  actions.appendChild(
+    createDashboardAction(
+      canOpenPage ? "↗ Open page" : "↗ Go to tab",
+      canOpenPage ? timer.rule.value : "Switch to the timer's tab",
+      async () => {
+        if (tab) {
+          focusTab(tab);
+        } else {
+          chrome.tabs.create({ url: timer.rule.value });
+        }
+      },
+      !tab && !canOpenPage
+    )
+  );
+
+  actions.appendChild(
+    createDashboardAction(
+      "✎ Edit",
+      "Open the timer's tab and edit its schedule and scope",
+      async () => {
+        pendingEditTimerId = timer.id;
+        focusTab(tab);
+        toggleDashboard(false);
+      },
+      !tab
+    )
+  );
+
+  actions.appendChild(
+    createDashboardAction(
+      timer.state.paused ? "▶ Resume" : "⏸ Pause",
+      timer.state.paused ? "Resume the timer" : "Pause the timer",
+      () =>
+        timer.state.paused ? resumeAutoReload(timer) : pauseAutoReload(timer),
+      !timer.tabId
+    )
+  );
+
+  actions.appendChild(
+    createDashboardAction(
+      "↻ Reload now",
+      "Reload the tab now and restart the countdown",
+      () => sendReloadAction("reloadNow", timer.id),
+      status.key !== "running"
+    )
+  );
+
+  actions.appendChild(
+    createDashboardAction(
+      "⏭ Skip",
+      "Skip the next reload and keep the schedule",
+      () => sendReloadAction("skipNextReload", timer.id),
+      status.key !== "running"
+    )
+  );
+
+  actions.appendChild(
+    createDashboardAction(
+      "😴 Snooze",
+      `Postpone the next reload by ${snoozeMinutesInput.value || 10} minutes`,
+      () =>
+        sendReloadAction("snoozeReload", timer.id, null, {
+          snoozeSeconds: getSnoozeSeconds(),
+        }),
+      status.key !== "running"
+    )
+  );
+
+  const isConfirmingDelete = pendingDashboardDelete === timer.id;
+  const deleteAction = createDashboardAction(
+    isConfirmingDelete ? "🗑 Confirm delete" : "🗑 Delete",
+    "Delete the timer with its rule and settings",
+    async () => {
+      if (isConfirmingDelete) {
+        pendingDashboardDelete = null;
+        await deleteTimerFromDashboard(timer.id);
+      } else {
+        pendingDashboardDelete = timer.id;
+      }
+    }
+  );
+  deleteAction.classList.add("btn-delete");
+  actions.appendChild(deleteAction);
+
+  row.append(head, schedule, tabInfo, statusBadge, actions);
+  return row;
+};
+
+// Отрисовка панели таймеров (все таймеры во всех вкладках и окнах)
+const renderDashboard = async () => {
+  if (dashboardBlock.classList.contains("hidden")) return;
+
+  const allTimers = await getTimers();
+  const tabs = await new Promise((resolve) => {
+    chrome.tabs.query({}, (result) => {
+      resolve(chrome.runtime.lastError ? [] : result);
+    });
+  });
+  const tabsById = new Map(tabs.map((tab) => [tab.id, tab]));
+  const syncStates = await getTimerSyncStates(allTimers);
+
+  // Сначала работающие, затем остальные; внутри - по времени создания
+  const timers = Object.values(allTimers).sort(
+    (a, b) =>
+      Boolean(a.state.paused || !a.tabId) -
+        Boolean(b.state.paused || !b.tabId) || a.createdAt - b.createdAt
+  );
+
+  dashboardTimers = allTimers;
+  dashboardTitle.textContent = `All timers (${timers.length})`;
+  stopAllBtn.disabled = timers.length === 0;
+  // Удалённые таймеры больше не считаются выбранными
+  for (const timerId of selectedTimerIds) {
+    if (!allTimers[timerId]) {
+      selectedTimerIds.delete(timerId);
+    }
+  }
+  updateExportButton();
+
+  if (timers.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "dashboard-empty";
+    empty.textContent = "No timers yet";
+    dashboardList.replaceChildren(empty);
+    return;
+  }
+
+  dashboardList.replaceChildren(
+    ...timers.map((timer) =>
+      createDashboardRow(timer, allTimers, tabsById, syncStates[timer.id])
+    )
+  );
+};
+
+// Ежесекундное обновление обратного отсчёта без перерисовки строк
+const updateDashboardCountdowns = () => {
+  const now = Date.now();
+  for (const row of dashboardList.querySelectorAll(".dashboard-row")) {
+    const timer = dashboardTimers[row.dataset.timerId];
+    if (timer) {
+      row.querySelector(".dashboard-countdown").textContent =
+        getDashboardCountdown(timer, now);
+    }
+  }
+};
+
+// Показать/скрыть панель таймеров
+const toggleDashboard = (visible) => {
+  dashboardBlock.classList.toggle("hidden", !visible);
+  dashboardBtn.classList.toggle("active", visible);
+  stopAllConfirm.classList.add("hidden");
+  pendingDashboardDelete = null;
+
+  clearInterval(dashboardIntervalId);
+  dashboardIntervalId = null;
+  if (visible) {
+    renderDashboard();
+    dashboardIntervalId = setInterval(updateDashboardCountdowns, 1000);
+  }
+};
+
+// Остановить все таймеры (после подтверждения)
+const stopAllTimers = async () => {
+  const allTimers = await getTimers();
+  for (const timerId of Object.keys(allTimers)) {
+    await deleteTimerFromDashboard(timerId);
+  }
+
+  stopStatusUpdates();
+  await loadState();
+  await renderDashboard();
+};
+
+dashboardBtn.addEventListener("click", () => {
+  toggleDashboard(dashboardBlock.classList.contains("hidden"));
+});
+
+stopAllBtn.addEventListener("click", () => {
+  const count = Object.keys(dashboardTimers).length;
+  stopAllConfirmText.textContent = `Stop and delete all ${count} timer${
+    count === 1 ? "" : "s"
+  }? Their rules and settings will be lost.`;
+  stopAllConfirm.classList.remove("hidden");
+});
+
+stopAllConfirmBtn.addEventListener("click", async () => {
+  stopAllConfirm.classList.add("hidden");
+  await stopAllTimers();
+});
+
+stopAllCancelBtn.addEventListener("click", () => {
+  stopAllConfirm.classList.add("hidden");
+});
+
+// Подпись кнопки экспорта: выбранные таймеры или все
+const updateExportButton = () => {
+  exportBtn.textContent =
+    selectedTimerIds.size > 0
+      ? `⬇ Export (${selectedTimerIds.size})`
+      : "⬇ Export";
+  exportBtn.disabled = !Object.values(dashboardTimers).some(isTimerExportable);
+};
+
+// Сохранить JSON-файл через временную ссылку
+const downloadJson = (data, filename) => {
+  const url = URL.createObjectURL(
+    new Blob([JSON.stringify(data, null, 2)], { type: "application/json" })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+exportBtn.addEventListener("click", async () => {
+  const allTimers = await getTimers();
+  const timers =
+    selectedTimerIds.size > 0
+      ? [...selectedTimerIds].map((id) => allTimers[id]).filter(Boolean)
+      : Object.values(allTimers);
+  const date = new Date().toISOString().slice(0, 10);
+  downloadJson(exportTimers(timers), `page-auto-reloader-timers-${date}.json`);
+});
+
+// Пункты предпросмотра импорта
+const addImportPreviewItem = (text) => {
+  const item = document.createElement("li");
+  item.textContent = text;
+  importPreviewList.appendChild(item);
+};
+
+// Предпросмотр: что будет добавлено, перезаписано, удалено и пропущено
+const renderImportPreview = async () => {
+  const plan = planTimersImport(
+    pendingImport.timers,
+    await getTimers(),
+    importModeSelect.value
+  );
+
+  const count = plan.added.length + plan.overwritten.length;
+  importPreviewTitle.textContent = `Import ${count} timer${
+    count === 1 ? "" : "s"
+  }?`;
+  importPreviewList.textContent = "";
+  for (const timer of plan.added) {
+    addImportPreviewItem(`Add: ${describeRule(timer.rule)}`);
+  }
+  for (const { imported } of plan.overwritten) {
+    addImportPreviewItem(`Overwrite: ${describeRule(imported.rule)}`);
+  }
+  for (const timer of plan.removed) {
+    addImportPreviewItem(`Remove: ${describeRule(timer.rule)}`);
+  }
+  for (const timer of plan.duplicates) {
+    addImportPreviewItem(`Skip duplicate: ${describeRule(timer.rule)}`);
+  }
+  for (const error of pendingImport.errors) {
+    addImportPreviewItem(`Skip invalid: ${error}`);
+  }
+
+  importConfirmBtn.disabled =
+    plan.added.length + plan.overwritten.length + plan.removed.length === 0;
+  importPreview.classList.remove("hidden");
+};
+
+// Скрыть предпросмотр и забыть файл
+const cancelImport = () => {
+  pendingImport = null;
+  importPreview.classList.add("hidden");
+};
+
+importBtn.addEventListener("click", () => {
+  importFileInput.value = "";
+  importFileInput.click();
+});
+
+importFileInput.addEventListener("change", async () => {
+  const file = importFileInput.files[0];
+  if (!file) return;
+
+  try {
+    pendingImport = parseTimersImport(await file.text());
+  } catch (error) {
+    pendingImport = null;
+    importPreviewTitle.textContent = `⚠️ ${error.message}`;
+    importPreviewList.textContent = "";
+    importConfirmBtn.disabled = true;
+    importPreview.classList.remove("hidden");
+    return;
+  }
+
+  importModeSelect.value = "merge";
+  await renderImportPreview();
+});
+
+importModeSelect.addEventListener("change", () => {
+  if (pendingImport) {
+    renderImportPreview();
+  }
+});
+
+importConfirmBtn.addEventListener("click", async () => {
+  if (!pendingImport) return;
+
+  // План строим заново - таймеры могли измениться, пока открыт предпросмотр
+  const plan = planTimersImport(
+    pendingImport.timers,
+    await getTimers(),
+    importModeSelect.value
+  );
+  cancelImport();
+
+  await applyTimersImport(plan);
+  for (const timer of plan.removed) {
+    chrome.runtime.sendMessage({ type: "clearReload", timerId: timer.id });
+  }
+  // Новые таймеры без вкладки - background привяжет их к открытым вкладкам
+  await sendBackgroundRequest("adoptTimers");
+
+  stopStatusUpdates();
+  await loadState();
+  await renderDashboard();
+});
+
+importCancelBtn.addEventListener("click", cancelImport);
+
+// Подставить интервал и случайность из пресета
+const applyPreset = (preset) => {
+  showError(false);
+  scheduleTypeSelect.value = "interval";
+  applyIntervalSeconds(preset.intervalSeconds);
+  applyRandomnessConfig(preset.randomness);
+  updateScheduleControls();
+};
+
+// Кнопка-чип пресета: применить и удалить
+const createPresetChip = (preset, disabled) => {
+  const chip = document.createElement("div");
+  chip.className = "preset-chip";
+
+  const applyButton = document.createElement("button");
+  applyButton.type = "button";
+  applyButton.textContent = preset.name;
+  applyButton.title = `Use ${formatTime(preset.intervalSeconds)} interval`;
+  applyButton.disabled = disabled;
+  applyButton.addEventListener("click", () => applyPreset(preset));
+
+  const removeButton = document.createElement("button");
+  removeButton.type = "button";
+  removeButton.className = "preset-remove";
+  removeButton.textContent = "×";
+  removeButton.title = "Delete preset";
+  removeButton.disabled = disabled;
+  removeButton.addEventListener("click", () => removePreset(preset.id));
+
+  chip.append(applyButton, removeButton);
+  return chip;
+};
+
+// Отрисовка чипов пресетов
+const renderPresets = async () => {
+  const presets = Object.values(await getPresets()).sort(
+    (a, b) => a.intervalSeconds - b.intervalSeconds
+  );
+  const disabled = hoursInput.disabled;
+
+  presetChips.textContent = "";
+  for (const preset of presets) {
+    presetChips.appendChild(createPresetChip(preset, disabled));
+  }
+
+  const addChip = document.createElement("div");
+  addChip.className = "preset-chip preset-add";
+  const addButton = document.createElement("button");
+  addButton.type = "button";
+  addButton.textContent = "+ Save current";
+  addButton.title = "Save the current interval and randomness as a preset";
+  addButton.disabled = disabled;
+  addButton.addEventListener("click", showPresetSaveRow);
+  addChip.appendChild(addButton);
+  presetChips.appendChild(addChip);
+};
+
+// Имя пресета по умолчанию: "15s ±20%"
+const getDefaultPresetName = () => {
+  const name = formatTime(getTimeInSeconds());
+  return randomnessCheckbox.checked
+    ? `${name} ±${variationSlider.value}%`
+    : name;
+};
+
+// Показ поля для имени нового пресета
+const showPresetSaveRow = () => {
+  presetNameInput.value = getDefaultPresetName();
+  presetSaveRow.classList.remove("hidden");
+  presetNameInput.focus();
+  presetNameInput.select();
+};
+
+// Сохранить текущий интервал и случайность как пресет
+const saveCurrentPreset = async () => {
+  const intervalSeconds = getTimeInSeconds();
+  if (intervalSeconds < 1) {
+    showError(true, "Enter an interval before saving a preset");
+    return;
+  }
+
+  const settings = getCurrentSettings();
+  await savePreset({
+    name: presetNameInput.value.trim() || getDefaultPresetName(),
+    intervalSeconds,
+    randomness: settings.randomness,
+  });
+  presetSaveRow.classList.add("hidden");
+};
+
+presetSaveConfirmBtn.addEventListener("click", saveCurrentPreset);
+
+presetSaveCancelBtn.addEventListener("click", () => {
+  presetSaveRow.classList.add("hidden");
+});
+
+presetNameInput.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") {
+    saveCurrentPreset();
+  } else if (event.key === "Escape") {
+    presetSaveRow.classList.add("hidden");
+  }
+});
+
+// Размер в килобайтах для подписи квоты
+const formatKilobytes = (bytes) => `${Math.ceil(bytes / 1024)} KB`;
+
+// Состав таймеров и их updatedAt: меняются только при изменении
+// синхронизируемых данных, но не состояния перезагрузок
+const getSyncedVersions = (timers = {}) =>
+  Object.values(timers)
+    .map((timer) => `${timer.id}:${timer.updatedAt || timer.createdAt}`)
+    .join();
+
+// Время последней синхронизации и число неотправленных таймеров
+const getSyncSummary = async (status) => {
+  const lastSync = status.lastSuccessAt
+    ? `Last synced ${formatPreviewTime(new Date(status.lastSuccessAt))}`
+    : "Not synced yet";
+
+  const syncStates = Object.values(await getTimerSyncStates(await getTimers()));
+  const pendingCount = syncStates.filter((state) => state === "pending").length;
+  if (pendingCount > 0) {
+    const noun = pendingCount === 1 ? "timer" : "timers";
+    return `${lastSync} · ${pendingCount} ${noun} waiting to upload`;
+  }
+  return status.pendingSince
+    ? `${lastSync} · changes waiting to upload`
+    : lastSync;
+};
+
+// Предупреждение о превышении квоты / паузе синхронизации и занятое место
+const renderSyncStatus = async () => {
+  const status = await getSyncStatus();
+  syncSummary.textContent = await getSyncSummary(status);
+
+  const used = formatKilobytes(status.bytesInUse);
+  const quota = formatKilobytes(status.quotaBytes);
+  syncUsage.textContent =
+    status.bytesInUse === null ? "" : `Using ${used} of ${quota} cloud storage`;
+
+  let warning = "";
+  if (status.state === "over-quota") {
+    warning =
+      "⚠️ Cloud sync is over quota. Changes stay on this device until some timers are removed.";
+  } else if (status.state === "paused" && status.pausedUntil > Date.now()) {
+    const until = new Date(status.pausedUntil).toLocaleTimeString("en-GB", {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    warning = `⏸ Cloud sync is paused until ${until}: the browser's write limit was reached.`;
+  } else if (status.state === "error") {
+    warning = `⚠️ Cloud sync failed: ${status.lastError}`;
+  }
+
+  syncWarning.textContent = warning;
+  syncWarning.classList.toggle("hidden", !warning);
+};
+
+// Краткое описание копии таймера для сравнения
+const describeTimerCopy = (copy) => {
+  const schedule = describeTimerSchedule(copy.settings);
+  const editedAt = formatPreviewTime(new Date(copy.updatedAt));
+  return `${describeRule(copy.rule)} · ${schedule} · edited ${editedAt}`;
+};
+
+// Подписи источника другой копии
+const SYNC_COPY_SOURCES = {
+  cloud: "Cloud copy",
+  local: "Earlier copy from this device",
+};
+
+// Строка расхождения: обе копии и выбор одной из них
+const createSyncDiffRow = (divergence) => {
+  const row = document.createElement("li");
+  row.className = "sync-diff";
+
+  const title = document.createElement("div");
+  title.className = "sync-diff-title";
+  title.textContent = divergence.conflict
+    ? "⚠️ Changed on two devices"
+    : "🔀 Not synced yet";
+
+  const current = document.createElement("div");
+  current.textContent = `This device: ${describeTimerCopy(divergence.current)}`;
+
+  const other = document.createElement("div");
+  const source = SYNC_COPY_SOURCES[divergence.otherSource];
+  other.textContent = `${source}: ${describeTimerCopy(divergence.other)}`;
+
+  const actions = document.createElement("div");
+  actions.className = "dashboard-actions";
+  actions.append(
+    createDashboardAction(
+      "Keep this device's",
+      "Upload this device's copy to other devices",
+      () => resolveDivergence(divergence.id, null)
+    ),
+    createDashboardAction(
+      "Use the other copy",
+      "Replace this device's copy and upload it",
+      () => resolveDivergence(divergence.id, divergence.other)
+    )
+  );
+
+  row.append(title, current, other, actions);
+  return row;
+};
+
+// Отрисовка таймеров, копии которых расходятся
+const renderSyncDivergence = async () => {
+  if (syncDiffList.classList.contains("hidden")) {
+    return;
+  }
+
+  let divergences;
+  try {
+    divergences = await getSyncDivergence();
+  } catch (error) {
+    const item = document.createElement("li");
+    item.textContent = `⚠️ Couldn't read cloud data: ${error.message}`;
+    syncDiffList.replaceChildren(item);
+    return;
+  }
+
+  if (divergences.length === 0) {
+    const item = document.createElement("li");
+    item.className = "policy-hint";
+    item.textContent = "Every timer matches its cloud copy";
+    syncDiffList.replaceChildren(item);
+    return;
+  }
+
+  syncDiffList.replaceChildren(...divergences.map(createSyncDiffRow));
+};
+
+// Отправить запрос в background и дождаться ответа
+const sendBackgroundRequest = (type) =>
+  new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error(`${type} failed:`, chrome.runtime.lastError);
+      }
+      resolve(response);
+    });
+  });
+
+// Синхронизация по кнопке: на время запроса кнопки блокируются
+const runSyncRequest = async (type) => {
+  syncNowBtn.disabled = true;
+  pullBtn.disabled = true;
+  try {
+    const response = await sendBackgroundRequest(type);
+    if (response && response.localChanged) {
+      stopStatusUpdates();
+      await loadState();
+    }
+  } finally {
+    syncNowBtn.disabled = false;
+    pullBtn.disabled = false;
+  }
+  await renderSyncStatus();
+  await renderSyncDivergence();
+};
+
+// Выбрать копию таймера и сразу синхронизировать
+const resolveDivergence = async (timerId, copy) => {
+  await resolveSyncDivergence(timerId, copy);
+  await runSyncRequest("syncNow");
+};
+
+syncNowBtn.addEventListener("click", () => runSyncRequest("syncNow"));
+pullBtn.addEventListener("click", () => runSyncRequest("pullFromCloud"));
+
+syncDiffBtn.addEventListener("click", () => {
+  const show = syncDiffList.classList.contains("hidden");
+  syncDiffList.classList.toggle("hidden", !show);
+  syncDiffBtn.classList.toggle("active", show);
+  renderSyncDivergence();
+});
+
+// Подписи событий журнала синхронизации
+const SYNC_LOG_ACTIONS = {
+  added: { local: "Added here", cloud: "Uploaded" },
+  updated: { local: "Updated here", cloud: "Updated in cloud" },
+  removed: { local: "Removed here", cloud: "Removed from cloud" },
+};
+const SYNC_LOG_ICONS = { added: "＋", updated: "✎", removed: "✕" };
+
+// Отрисовка журнала синхронизации
+const renderSyncLog = async () => {
+  if (syncLogList.classList.contains("hidden")) {
+    return;
+  }
+
+  const log = await getSyncLog();
+  syncLogList.textContent = "";
+
+  if (log.length === 0) {
+    const item = document.createElement("li");
+    item.textContent = "No sync activity yet";
+    syncLogList.appendChild(item);
+    return;
+  }
+
+  for (const entry of log) {
+    const item = document.createElement("li");
+    item.className = "sync-log-entry";
+
+    const time = document.createElement("span");
+    time.className = "sync-log-time";
+    time.textContent = formatPreviewTime(new Date(entry.at));
+
+    const kind = entry.collection === "presets" ? "preset" : "timer";
+    const action = SYNC_LOG_ACTIONS[entry.action][entry.side];
+    const text = document.createElement("span");
+    text.className = "sync-log-text";
+    const icon = entry.conflict ? "⚠️" : SYNC_LOG_ICONS[entry.action];
+    const note = entry.conflict ? " - changed on both sides, newer kept" : "";
+    text.textContent = `${icon} ${action} (${kind}): ${entry.label}${note}`;
+
+    item.append(time, text);
+    syncLogList.appendChild(item);
+  }
+};
+
+syncLogBtn.addEventListener("click", () => {
+  const show = syncLogList.classList.contains("hidden");
+  syncLogList.classList.toggle("hidden", !show);
+  syncLogBtn.textContent = show ? "Hide log" : "Show log";
+  renderSyncLog();
+});
+
+// Таймеры меняются в background (перезагрузки, sync) - обновляем панель
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (
+    area === "local" &&
+    (changes.timers || changes.syncBase || changes.syncConflicts)
+  ) {
+    renderDashboard();
+  }
+  if (area === "local" && changes.presets) {
+    renderPresets();
+  }
+  if (area === "local" && changes.syncLog) {
+    renderSyncLog();
+  }
+  // Перезагрузки меняют таймеры каждые несколько секунд - сводку
+  // пересчитываем, только если изменилось то, что уходит в облако
+  if (
+    area === "local" &&
+    (changes.syncStatus ||
+      changes.syncBase ||
+      (changes.timers &&
+        getSyncedVersions(changes.timers.oldValue) !==
+          getSyncedVersions(changes.timers.newValue)))
+  ) {
+    renderSyncStatus();
+  }
+});
+
+// Смена глобальной политики конфликтов
+conflictPolicySelect.addEventListener("change", async () => {
+  const globalSettings = await updateGlobalSettings({
+    conflictPolicy: conflictPolicySelect.value,
+  });
+  conflictPolicy = globalSettings.conflictPolicy;
+  stopStatusUpdates();
+  await loadState();
+});
+
+// Смена настройки синхронизации новых таймеров
+syncDefaultCheckbox.addEventListener("change", async () => {
+  const globalSettings = await updateGlobalSettings({
+    syncNewTimers: syncDefaultCheckbox.checked,
+  });
+  syncNewTimers = globalSettings.syncNewTimers;
+  // Форма нового таймера подхватывает настройку сразу
+  if (!syncTimerCheckbox.disabled && editingTimerId === null) {
+    syncTimerCheckbox.checked = syncNewTimers;
+  }
+});
+
+// Загрузка глобальных настроек
+const loadGlobalSettings = async () => {
+  const globalSettings = await getGlobalSettings();
+  conflictPolicy = globalSettings.conflictPolicy;
+  conflictPolicySelect.value = conflictPolicy;
+  syncNewTimers = globalSettings.syncNewTimers;
+  syncDefaultCheckbox.checked = syncNewTimers;
+};
+
+// Инициализация
+loadGlobalSettings()
+  .then(loadState)
+  .then(renderPresets)
+  .then(renderSyncStatus)
+  .then(() => {
+    // Показываем popup после загрузки состояния
+    document.body.classList.add("loaded");
+  });
+
 // Отслеживание переключения вкладок
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
   // Останавливаем обновления для предыдущей вкладки
@@ -765,6 +3303,7 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
 
   // Загружаем состояние для новой активной вкладки
   await loadState();
+  renderDashboard();
 });
 
 // Отслеживание обновления вкладок (например, изменение URL)
@@ -785,12 +3324,13 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 // Очистка при закрытии popup
 window.addEventListener("unload", () => {
   stopStatusUpdates();
+  clearInterval(dashboardIntervalId);
 });
 
 // Слушаем сообщения от background.js о восстановлении таймера
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === "timerRestored") {
-    // Таймер был восстановлен - перезагружаем состояние
+  if (message.type === "timerRestored" || message.type === "timersChanged") {
+    // Таймер восстановлен или изменён командой с клавиатуры - перезагружаем состояние
     queryActiveTab().then((activeTab) => {
       if (activeTab && activeTab.id === message.tabId) {
         stopStatusUpdates();
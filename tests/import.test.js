@@ -0,0 +1,204 @@
+// Тесты проверки файла импорта таймеров (shared/utils.js).
+// Запуск из корня репозитория: node --test tests/
+// Нужен Node 20.19+ или 22.7+: shared/utils.js - ES-модуль без package.json,
+// его формат Node определяет по синтаксису
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_TIMER_SETTINGS,
+  exportTimers,
+  isWithinActiveHours,
+  parseTimersImport,
+} from "../shared/utils.js";
+
+const makeTimer = (
+  settings = {},
+  rule = { type: "domain", value: "a.com" }
+) => ({
+  id: "timer-1",
+  tabId: 7,
+  rule,
+  settings: { ...DEFAULT_TIMER_SETTINGS, intervalSeconds: 60, ...settings },
+  state: { nextReloadAt: 0 },
+  createdAt: 1,
+});
+
+// Файл импорта с одним таймером, настройки которого заменены на settings
+const importWith = (settings) => {
+  const file = exportTimers([makeTimer()]);
+  file.timers[0].settings = { ...file.timers[0].settings, ...settings };
+  return parseTimersImport(JSON.stringify(file));
+};
+
+// Файл импорта с одним таймером, правило которого дополнено rule
+const importWithRule = (rule) => {
+  const file = exportTimers([makeTimer()]);
+  file.timers[0].rule = { ...file.timers[0].rule, ...rule };
+  return parseTimersImport(JSON.stringify(file));
+};
+
+const assertErrors = ({ timers, errors }, pattern) => {
+  assert.equal(timers.length, 0);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], pattern);
+};
+
+const assertRejected = (settings, pattern) =>
+  assertErrors(importWith(settings), pattern);
+
+test("exported timers import back without errors", () => {
+  const { timers, errors } = parseTimersImport(
+    JSON.stringify(exportTimers([makeTimer()]))
+  );
+  assert.deepEqual(errors, []);
+  assert.equal(timers.length, 1);
+  assert.equal(timers[0].settings.intervalSeconds, 60);
+});
+
+test("active hours without windows or with empty windows are rejected", () => {
+  assertRejected({ activeHours: { enabled: true } }, /windows must be a list/);
+  assertRejected(
+    { activeHours: { enabled: true, windows: [{}] } },
+    /start and end time/
+  );
+  assertRejected(
+    {
+      activeHours: {
+        enabled: true,
+        windows: [{ days: [], start: "09:00", end: "18:00" }],
+      },
+    },
+    /at least one day/
+  );
+  assertRejected(
+    {
+      activeHours: {
+        enabled: true,
+        windows: [{ days: [9], start: "09:00", end: "18:00" }],
+      },
+    },
+    /from 0 to 6/
+  );
+});
+
+test("accepted active hours can be evaluated", () => {
+  const { timers, errors } = importWith({
+    activeHours: {
+      enabled: true,
+      windows: [{ days: [1, 2], start: "22:00", end: "02:00" }],
+    },
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(
+    typeof isWithinActiveHours(timers[0].settings.activeHours),
+    "boolean"
+  );
+});
+
+test("watch rules are checked like the side panel does", () => {
+  assertRejected({ watch: { enabled: true } }, /watch rules must be a list/);
+  assertRejected(
+    {
+      watch: {
+        enabled: true,
+        rules: [{ id: "r", pattern: "(", isRegex: true, condition: "appears" }],
+      },
+    },
+    /invalid watch pattern/
+  );
+  assertRejected(
+    {
+      watch: {
+        enabled: true,
+        rules: [{ id: "r", pattern: "x", condition: "changes" }],
+      },
+    },
+    /unknown watch condition/
+  );
+  assertRejected(
+    { watch: { enabled: true, rules: [{}] } },
+    /watch rule without an id/
+  );
+});
+
+test("stop conditions, multi-tab and edit guard need valid numbers", () => {
+  assertRejected(
+    { stopConditions: { enabled: true, maxReloads: "5" } },
+    /stop conditions/
+  );
+  assertRejected(
+    { stopConditions: { enabled: true, onReach: "explode" } },
+    /unknown stop action/
+  );
+  assertRejected({ multiTab: { enabled: true, maxTabs: -1 } }, /multi-tab/);
+  assertRejected({ editGuard: { enabled: true } }, /edit guard/);
+  assertRejected({ conditions: [] }, /"conditions" must be an object/);
+});
+
+test("empty blocks fall back to defaults", () => {
+  const { timers, errors } = importWith({ activeHours: null, watch: null });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(
+    timers[0].settings.activeHours,
+    DEFAULT_TIMER_SETTINGS.activeHours
+  );
+  assert.deepEqual(timers[0].settings.watch, DEFAULT_TIMER_SETTINGS.watch);
+});
+
+test("tab-bound timers are left out of the export", () => {
+  const file = exportTimers([
+    makeTimer(),
+    makeTimer({}, { type: "tab", value: "https://a.com/" }),
+  ]);
+  assert.equal(file.timers.length, 1);
+
+  const { timers, errors } = parseTimersImport(JSON.stringify(file));
+  assert.deepEqual(errors, []);
+  assert.equal(timers.length, 1);
+});
+
+test("patterns of a disabled watch are not checked", () => {
+  const { timers, errors } = importWith({
+    watch: {
+      enabled: false,
+      rules: [{ id: "r", pattern: "(", isRegex: true, condition: "appears" }],
+      actions: {},
+    },
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(timers.length, 1);
+});
+
+test("URL normalization options are checked", () => {
+  const url = { type: "url", value: "https://a.com/page" };
+  assertErrors(
+    importWithRule({ ...url, normalize: { ignoreParams: "utm_*" } }),
+    /list of names/
+  );
+  assertErrors(
+    importWithRule({ ...url, normalize: { ignoreParams: [1] } }),
+    /list of names/
+  );
+  assertErrors(
+    importWithRule({ ...url, normalize: { ignoreQuery: "yes" } }),
+    /"ignoreQuery"/
+  );
+  assertErrors(importWithRule({ ...url, normalize: [] }), /must be an object/);
+
+  const { errors } = importWithRule({
+    ...url,
+    normalize: { ignoreFragment: true, ignoreParams: ["utm_*"] },
+  });
+  assert.deepEqual(errors, []);
+});
+
+test("reload conditions accept only known boolean flags", () => {
+  assertRejected({ conditions: { onlyWhenIdle: "true" } }, /"onlyWhenIdle"/);
+  assertRejected({ conditions: { everyOtherDay: true } }, /"everyOtherDay"/);
+
+  const { errors } = importWith({
+    conditions: { onlyWhenIdle: true, reloadOnReturn: false },
+  });
+  assert.deepEqual(errors, []);
+});